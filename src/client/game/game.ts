@@ -1,10 +1,12 @@
 import * as THREE from 'three';
 import { navigateTo } from '@devvit/client';
-import { InitResponse, IncrementResponse, DecrementResponse } from '../../shared/types/api';
+import { BootstrapResponse } from '../../shared/types/api';
+import { GAME_MODES } from '../../shared/game/modes';
+import { DIFFICULTY_PRESETS } from '../../shared/game/daily';
 
 const titleElement = document.getElementById('title') as HTMLHeadingElement;
-const counterValueElement = document.getElementById('counter-value') as HTMLSpanElement;
-// Buttons have been removed; interactions now happen on the planet mesh.
+const descriptionElement = document.getElementById('description') as HTMLParagraphElement;
+const bestElement = document.getElementById('best-score') as HTMLSpanElement;
 
 const docsLink = document.getElementById('docs-link');
 const playtestLink = document.getElementById('playtest-link');
@@ -14,44 +16,23 @@ docsLink?.addEventListener('click', () => navigateTo('https://developers.reddit.
 playtestLink?.addEventListener('click', () => navigateTo('https://www.reddit.com/r/Devvit'));
 discordLink?.addEventListener('click', () => navigateTo('https://discord.com/invite/R7yu2wh9Qz'));
 
-let currentPostId: string | null = null;
-
-async function fetchInitialCount(): Promise<void> {
+async function fetchBootstrap(): Promise<void> {
   try {
-    const response = await fetch('/api/init');
+    const response = await fetch('/api/bootstrap');
     if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-    const data = (await response.json()) as InitResponse;
-    if (data.type === 'init') {
-      counterValueElement.textContent = data.count.toString();
-      currentPostId = data.postId;
-      titleElement.textContent = `Hey ${data.username} 👋`;
-    } else {
-      counterValueElement.textContent = 'Error';
-    }
-  } catch (err) {
-    console.error('Error fetching initial count:', err);
-    counterValueElement.textContent = 'Error';
-  }
-}
+    const data = (await response.json()) as BootstrapResponse;
+    if (data.type !== 'bootstrap') throw new Error('Unexpected bootstrap response');
 
-async function updateCounter(action: 'increment' | 'decrement'): Promise<void> {
-  if (!currentPostId) return;
-  try {
-    const response = await fetch(`/api/${action}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({}),
-    });
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-    const data = (await response.json()) as IncrementResponse | DecrementResponse;
-    counterValueElement.textContent = data.count.toString();
+    const mode = GAME_MODES.find((m) => m.id === data.config.mode)?.label ?? data.config.mode;
+    titleElement.textContent = `Hey ${data.username} 👋`;
+    descriptionElement.textContent = `${mode} · ${DIFFICULTY_PRESETS[data.config.difficulty].label} · Daily ${data.daily.dayKey}`;
+    bestElement.textContent = data.best ? `Best ${data.best.score} (#${data.best.rank})` : 'No score yet';
   } catch (err) {
-    console.error(`Error ${action}ing count:`, err);
+    console.error('Error fetching bootstrap:', err);
+    bestElement.textContent = 'Error';
   }
 }
 
-// Button event listeners removed – handled via planet click.
-
 const canvas = document.getElementById('bg') as HTMLCanvasElement;
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x000000);
@@ -133,7 +114,6 @@ function handleClick(event: PointerEvent): void {
   if (intersects.length > 0) {
     // Start gentle bounce
     scaleVelocity = 0.05;
-    void updateCounter('increment');
   }
 }
 
@@ -159,5 +139,5 @@ function animate(): void {
   renderer.render(scene, camera);
 }
 
-void fetchInitialCount();
+void fetchBootstrap();
 animate();
@@ -7,10 +7,21 @@ import { createArcadeTextSystem } from "./arcadeText.js";
 export function createActionManager(scene, camera, controls, fireworks, confetti) {
   const activeDarts = [];
 
+  // Darts that finished their impact/reset and stay in the board until the
+  // visit ends (see clearStuckDarts).
+  const stuckDarts = [];
+
+  // Timed FX sequences: { elapsed, steps: [{ at, run, done }] }
+  const sequences = [];
+
   const DART_FLIGHT_DURATION = 1.6;
   const RESET_DELAY = 2.0;
   const RESET_DURATION = 1.0;
 
+  // Bounce-out: the dart kicks back off the board and drops to the floor.
+  const FALL_DURATION = 1.4;
+  const FALL_GRAVITY = 9.8;
+
   const COLORS = {
     DART_TRAIL: 0x00ff00,
     TEXT_EMISSIVE: 0x00ffff,
@@ -60,6 +71,48 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
       t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
   };
 
+  // Visit celebration tiers, best first.
+  const VISIT_CELEBRATIONS = [
+    { min: 180, text: "180!", size: 1.1, bursts: 5 },
+    { min: 140, text: "TON 40", size: 0.9, bursts: 3 },
+    { min: 100, text: "TON", size: 0.8, bursts: 2 },
+  ];
+
+  function playSequence(steps) {
+    sequences.push({
+      elapsed: 0,
+      steps: steps.map((step) => ({ ...step, done: false })),
+    });
+  }
+
+  function updateSequences(delta) {
+    for (let i = sequences.length - 1; i >= 0; i--) {
+      const seq = sequences[i];
+      seq.elapsed += delta;
+
+      for (const step of seq.steps) {
+        if (step.done || seq.elapsed < step.at) continue;
+        step.done = true;
+        try {
+          step.run();
+        } catch (err) {
+          console.warn("FX sequence step failed", err);
+        }
+      }
+
+      if (seq.steps.every((step) => step.done)) {
+        sequences.splice(i, 1);
+      }
+    }
+  }
+
+  function removeDart(dart) {
+    if (dart.userData && dart.userData.motionTrail) {
+      dart.userData.motionTrail.dispose();
+    }
+    if (dart.parent) scene.remove(dart);
+  }
+
   function bezierPointInto(out, p0, p1, p2, p3, t) {
     const invT = 1 - t;
     const invT2 = invT * invT;
@@ -116,6 +169,20 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
       }
     },
 
+    // Alternate chalkboard view: standings across every post in the subreddit.
+    setSubredditLeaderboardData: (data) => {
+      if (logo && typeof logo.setSubredditLeaderboardData === "function") {
+        logo.setSubredditLeaderboardData(data);
+      }
+    },
+
+    // Alternate chalkboard view: last season's champions.
+    setLastSeasonChampion: (data) => {
+      if (logo && typeof logo.setChampionData === "function") {
+        logo.setChampionData(data);
+      }
+    },
+
     showLeaderboard: (data) => {
       if (logo && typeof logo.setLeaderboardData === "function") {
         logo.setLeaderboardData(data);
@@ -125,6 +192,139 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
       }
     },
 
+    // Brief chalkboard view of the Cricket marks between throws.
+    showCricketBoard: (data) => {
+      if (logo && typeof logo.setCricketData === "function") {
+        logo.setCricketData(data);
+      }
+      if (logo && typeof logo.show === "function") {
+        logo.show({ holdDuration: 1.4 });
+      }
+    },
+
+    /**
+     * Big-visit celebration (100+ / 140+ / 180): staggered fireworks and
+     * confetti around the board plus arcade text. Returns the tier text, or
+     * null when the total doesn't qualify.
+     */
+    celebrateVisit: (total, dartboard) => {
+      const tier = VISIT_CELEBRATIONS.find((t) => total >= t.min);
+      if (!tier || !dartboard) return null;
+
+      const center = dartboard.position.clone();
+      const boardForward = new THREE.Vector3(0, 0, 1).applyQuaternion(dartboard.quaternion);
+      const boardRight = new THREE.Vector3(1, 0, 0).applyQuaternion(dartboard.quaternion);
+      center.addScaledVector(boardForward, 0.6);
+
+      const steps = [
+        {
+          at: 0,
+          run: () => {
+            textPopups.spawnArcadeText(center, {
+              text: tier.text,
+              size: tier.size,
+              duration: 2.6,
+            });
+            cameraRig.triggerShake(0.35);
+          },
+        },
+      ];
+
+      for (let b = 0; b < tier.bursts; b++) {
+        const side = b % 2 === 0 ? 1 : -1;
+        const pos = center
+          .clone()
+          .addScaledVector(boardRight, side * (0.8 + b * 0.35))
+          .add(new THREE.Vector3(0, 0.4 + b * 0.3, 0));
+
+        steps.push({
+          at: 0.15 + b * 0.3,
+          run: () => {
+            fireworks.burst(pos, {
+              count: 220,
+              speed: 12,
+              colors: [COLORS.HIGHLIGHT, COLORS.TEXT_EMISSIVE, COLORS.TEXT_SIDE],
+            });
+          },
+        });
+        steps.push({
+          at: 0.3 + b * 0.3,
+          run: () => {
+            confetti.burst(pos, {
+              count: 200,
+              shapes: ["circle", "rect", "star"],
+              colors: [0xff0000, 0x00ff00, 0x0000ff, COLORS.HIGHLIGHT],
+            });
+          },
+        });
+      }
+
+      playSequence(steps);
+      return tier.text;
+    },
+
+    /**
+     * Streak milestone (3, 7, 30... days in a row): a ring of warm fireworks
+     * around the board with the day count in arcade text.
+     */
+    celebrateStreak: (days, dartboard) => {
+      if (!dartboard || !(days > 0)) return null;
+
+      const text = `${days} DAY STREAK`;
+      const center = dartboard.position.clone();
+      const boardForward = new THREE.Vector3(0, 0, 1).applyQuaternion(dartboard.quaternion);
+      const boardRight = new THREE.Vector3(1, 0, 0).applyQuaternion(dartboard.quaternion);
+      const boardUp = new THREE.Vector3(0, 1, 0).applyQuaternion(dartboard.quaternion);
+      center.addScaledVector(boardForward, 0.6);
+
+      const steps = [
+        {
+          at: 0,
+          run: () => {
+            textPopups.spawnArcadeText(center, { text, size: 0.8, duration: 3.0 });
+            cameraRig.triggerShake(0.25);
+          },
+        },
+      ];
+
+      const flameColors = [0xff6a00, 0xffb347, 0xffd166, COLORS.HIGHLIGHT];
+      const BURSTS = 6;
+      for (let b = 0; b < BURSTS; b++) {
+        const angle = (b / BURSTS) * Math.PI * 2;
+        const pos = center
+          .clone()
+          .addScaledVector(boardRight, Math.cos(angle) * 1.6)
+          .addScaledVector(boardUp, Math.sin(angle) * 1.2);
+
+        steps.push({
+          at: 0.2 + b * 0.18,
+          run: () => {
+            fireworks.burst(pos, { count: 160, speed: 10, colors: flameColors });
+          },
+        });
+      }
+      steps.push({
+        at: 0.2 + BURSTS * 0.18,
+        run: () => {
+          confetti.burst(center, {
+            count: 260,
+            shapes: ["circle", "star"],
+            colors: flameColors,
+          });
+        },
+      });
+
+      playSequence(steps);
+      return text;
+    },
+
+    getStuckDarts: () => stuckDarts.slice(),
+
+    clearStuckDarts: () => {
+      for (const dart of stuckDarts) removeDart(dart);
+      stuckDarts.length = 0;
+    },
+
     setOnDartLanded: (fn) => {
       onDartLanded = typeof fn === "function" ? fn : null;
     },
@@ -137,7 +337,11 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
       );
     },
 
-    throw: (dart, dartboard, offset, targetWorld = null) => {
+    /**
+     * opts.bounceOut: the dart reaches the target but doesn't stick; it drops
+     * to the floor instead (no impact FX) and is removed afterwards.
+     */
+    throw: (dart, dartboard, offset, targetWorld = null, opts = {}) => {
       if (activeDarts.some((d) => d.userData && d.userData.isFlying)) return;
 
       // Hide logo as soon as a new throw begins
@@ -182,6 +386,11 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
         impactDone: false,
         logoShown: false,
         landedEventFired: false,
+        bounceOut: !!opts.bounceOut,
+        isFalling: false,
+        fallTime: 0,
+        fallVelocity: null,
+        fallSpin: null,
       };
 
       scene.add(dart);
@@ -199,6 +408,9 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
       // Optional popup text system update
       textPopups.update(delta);
 
+      // Timed celebration sequences
+      updateSequences(delta);
+
       // Dart loop (typically max 1 dart)
       for (let i = activeDarts.length - 1; i >= 0; i--) {
         const dart = activeDarts[i];
@@ -246,7 +458,7 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
 
           if (easedT >= 1) {
             dart.userData.isFlying = false;
-            dart.userData.isWobbling = true;
+            dart.userData.isWobbling = !dart.userData.bounceOut;
             dart.userData.wobbleTime = 0;
 
             dart.position.copy(dart.userData.p3);
@@ -264,6 +476,7 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
                     dart,
                     dartboard,
                     impactWorld: dart.userData.p3.clone(),
+                    bounceOut: dart.userData.bounceOut,
                   });
                 } catch (err) {
                   console.warn("onDartLanded callback failed", err);
@@ -273,34 +486,66 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
 
             dart.userData.motionTrail.dispose();
 
-            // Fireworks + confetti
-            fireworks.burst(dart.userData.p3, {
-              count: 180,
-              speed: 14,
-              colors: [COLORS.HIGHLIGHT, COLORS.TEXT_EMISSIVE, COLORS.DART_TRAIL],
-            });
-
-            confetti.burst(dart.userData.p3, {
-              count: 260,
-              shapes: ["circle", "rect", "star"],
-              colors: [0xff0000, 0x00ff00, 0x0000ff, COLORS.HIGHLIGHT],
-            });
-
-            cameraRig.triggerShake(0.55);
-
-            // Optional: 3D popup text (comment/uncomment as desired)
-            // textPopups.spawnArcadeText(dart.userData.p3);
-
-            if (dartboard.onHit) dartboard.onHit();
-
-            // Reveal chalkboard logo
-            if (impactLogoEnabled && !dart.userData.logoShown) {
-              dart.userData.logoShown = true;
-              logo.show({ holdForever: !gameStarted });
+            if (dart.userData.bounceOut) {
+              // Kick back off the board face, then let gravity take it.
+              const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(dart.userData.boardQuat);
+              dart.userData.isFalling = true;
+              dart.userData.fallTime = 0;
+              dart.userData.fallVelocity = forward
+                .multiplyScalar(1.6 + Math.random() * 0.6)
+                .add(new THREE.Vector3(0, 0.8, 0));
+              dart.userData.fallSpin = new THREE.Vector3(
+                (Math.random() - 0.5) * 8,
+                (Math.random() - 0.5) * 4,
+                (Math.random() - 0.5) * 8
+              );
+
+              cameraRig.triggerShake(0.2);
+            } else {
+              // Fireworks + confetti
+              fireworks.burst(dart.userData.p3, {
+                count: 180,
+                speed: 14,
+                colors: [COLORS.HIGHLIGHT, COLORS.TEXT_EMISSIVE, COLORS.DART_TRAIL],
+              });
+
+              confetti.burst(dart.userData.p3, {
+                count: 260,
+                shapes: ["circle", "rect", "star"],
+                colors: [0xff0000, 0x00ff00, 0x0000ff, COLORS.HIGHLIGHT],
+              });
+
+              cameraRig.triggerShake(0.55);
+
+              // Optional: 3D popup text (comment/uncomment as desired)
+              // textPopups.spawnArcadeText(dart.userData.p3);
+
+              if (dartboard.onHit) dartboard.onHit();
+
+              // Reveal chalkboard logo
+              if (impactLogoEnabled && !dart.userData.logoShown) {
+                dart.userData.logoShown = true;
+                logo.show({ holdForever: !gameStarted });
+              }
             }
           }
         }
 
+        // FALL (bounce-out)
+        if (dart.userData.isFalling) {
+          dart.userData.fallTime += delta;
+          dart.userData.fallVelocity.y -= FALL_GRAVITY * delta;
+          dart.position.addScaledVector(dart.userData.fallVelocity, delta);
+          dart.rotateX(dart.userData.fallSpin.x * delta);
+          dart.rotateY(dart.userData.fallSpin.y * delta);
+          dart.rotateZ(dart.userData.fallSpin.z * delta);
+
+          if (dart.userData.fallTime >= FALL_DURATION) {
+            dart.userData.isFalling = false;
+            dart.visible = false;
+          }
+        }
+
         // WOBBLE
         if (dart.userData.isWobbling) {
           dart.userData.wobbleTime += delta;
@@ -337,8 +582,14 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
             if (controls) controls.enabled = impactCam.controlsEnabled;
             dart.userData.impactDone = true;
 
-            if (dart.parent) scene.remove(dart);
+            // Leave the dart in the board; it is pulled when the visit ends.
+            // Bounced darts are on the floor, so they just go.
             activeDarts.splice(i, 1);
+            if (dart.userData.bounceOut) {
+              removeDart(dart);
+            } else {
+              stuckDarts.push(dart);
+            }
           }
         }
 
@@ -356,15 +607,14 @@ export function createActionManager(scene, camera, controls, fireworks, confetti
     dispose: () => {
       logo.dispose();
 
-      for (let i = activeDarts.length - 1; i >= 0; i--) {
-        const dart = activeDarts[i];
-        if (dart.userData && dart.userData.motionTrail) {
-          dart.userData.motionTrail.dispose();
-        }
-        if (dart.parent) scene.remove(dart);
-      }
+      for (const dart of activeDarts) removeDart(dart);
       activeDarts.length = 0;
 
+      for (const dart of stuckDarts) removeDart(dart);
+      stuckDarts.length = 0;
+
+      sequences.length = 0;
+
       textPopups.dispose();
       trails.dispose();
       cameraRig.dispose();
@@ -33,13 +33,18 @@ export function createArcadeTextSystem(scene, opts = {}) {
     },
   };
 
-  function spawnArcadeText(position) {
+  // opts: { text, size, duration } — defaults are the original "DAILY DARTS" popup
+  function spawnArcadeText(position, opts = {}) {
     if (!gameFont) return;
 
+    const text = typeof opts.text === "string" && opts.text ? opts.text : "DAILY DARTS";
+    const size = typeof opts.size === "number" ? opts.size : 0.8;
+    const duration = typeof opts.duration === "number" ? opts.duration : 2.2;
+
     const makeLayer = (color, offsetZ, bevelSize) => {
-      const geom = new TextGeometry("DAILY DARTS", {
+      const geom = new TextGeometry(text, {
         font: gameFont,
-        size: 0.8,
+        size,
         height: 0.25,
         curveSegments: 14,
         bevelEnabled: true,
@@ -108,7 +113,7 @@ export function createArcadeTextSystem(scene, opts = {}) {
       layers: [backLayer, frontLayer, highlightLayer],
       particles,
       elapsed: 0,
-      duration: 2.2,
+      duration,
       position: position.clone().add(tmpV2.set(0, 1.5, 0)),
       rotationSpeed: Math.random() * 0.5 - 0.25,
     });
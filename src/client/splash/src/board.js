@@ -2,22 +2,24 @@ import * as THREE from "three";
 import { FontLoader } from "three/examples/jsm/loaders/FontLoader.js";
 import { TextGeometry } from "three/examples/jsm/geometries/TextGeometry.js";
 
-/**
- * Canonical dartboard wedge order (clockwise, starting at 20 at the top).
- * This must match BOTH the drawn face and the 3D number placement.
- */
-export const DARTBOARD_NUMBERS = [
-  20, 1, 18, 4, 13,
-  6, 10, 15, 2, 17,
-  3, 19, 7, 16, 8,
-  11, 14, 9, 12, 5,
-];
+import {
+  BOARD_RADII_PX,
+  BOARD_RADIUS,
+  DARTBOARD_NUMBERS,
+  FACE_OUTER_PX,
+  RING_RATIOS,
+  SPIDER_RATIOS,
+  createBoardScoringConfig,
+} from "../../../shared/game/board";
+
+// Wedge order lives with the shared scoring geometry (the server scores too).
+export { DARTBOARD_NUMBERS };
 
 /**
  * Create a cabinet-style dartboard + expose scoring config on group.userData.scoring
  */
 export function createDartboard(options = {}) {
-  const boardRadius = options.boardRadius ?? 2.05;
+  const boardRadius = options.boardRadius ?? BOARD_RADIUS;
   const boardThickness = 0.35;
   const position = options.position ?? new THREE.Vector3(0, 1.85, -1.5);
   const includeWall =
@@ -44,7 +46,7 @@ export function createDartboard(options = {}) {
 
   /**
    * Scoring wedges:
-   * Your scoring.js (per your comments) uses startAngle as the CENTER angle of wedge 0 (20)
+   * shared/game/scoring.ts uses startAngle as the CENTER angle of wedge 0 (20)
    * in math coords (+y up). TOP is +PI/2.
    *
    * We place numbers clockwise, so scoring direction should be "cw".
@@ -65,66 +67,26 @@ export function createDartboard(options = {}) {
   const CX = CANVAS_SIZE / 2;
   const CY = CANVAS_SIZE / 2;
 
-  // Legacy design radii were authored against an outer radius of 480px
-  const LEGACY_OUTER_PX = 480;
-
-  // We now draw the face to the full half-canvas radius so it matches geometry space
-  const FACE_OUTER_PX = 512;
-
-  // Scale factor from legacy design to full face
-  const FACE_SCALE = FACE_OUTER_PX / LEGACY_OUTER_PX; // 512/480 = 1.066666...
-
-  // Scaled draw radii (these are the "truth" for paint + scoring ratios)
+  // Legacy design radii (authored against 480px) scaled to the full 512px face.
+  // These are the "truth" for paint + scoring ratios; see shared/game/board.ts.
   const R_OUTER = FACE_OUTER_PX;
-  const R_DOUBLE_INNER = 445 * FACE_SCALE;
-  const R_DOUBLE_OUTER = 480 * FACE_SCALE; // becomes 512
-  const R_TRIPLE_INNER = 275 * FACE_SCALE;
-  const R_TRIPLE_OUTER = 310 * FACE_SCALE;
-  const R_BULL_OUTER = 70 * FACE_SCALE;
-  const R_DBULL_OUTER = 32 * FACE_SCALE;
+  const R_DOUBLE_INNER = BOARD_RADII_PX.doubleInner;
+  const R_DOUBLE_OUTER = BOARD_RADII_PX.doubleOuter;
+  const R_TRIPLE_INNER = BOARD_RADII_PX.tripleInner;
+  const R_TRIPLE_OUTER = BOARD_RADII_PX.tripleOuter;
+  const R_BULL_OUTER = BOARD_RADII_PX.bullOuter;
+  const R_DBULL_OUTER = BOARD_RADII_PX.dbullOuter;
 
-  /**
-   * ringRatios are normalized to the true outer radius (512px now).
-   * These match the classic proportions (same as 445/480, 275/480, etc.).
-   */
-  const ringRatios = {
-    outer: 1.0,
-    doubleInner: R_DOUBLE_INNER / R_OUTER,
-    doubleOuter: 1.0,
-    tripleInner: R_TRIPLE_INNER / R_OUTER,
-    tripleOuter: R_TRIPLE_OUTER / R_OUTER,
-    bullOuter: R_BULL_OUTER / R_OUTER,
-    dbullOuter: R_DBULL_OUTER / R_OUTER,
-  };
+  const ringRatios = RING_RATIOS;
+
+  // Put wires on *real* boundaries so it visually matches the face better.
+  const spiderRatios = SPIDER_RATIOS;
 
   /**
-   * Scoring config consumed by scoring.js (+ hitGlow)
+   * Scoring config consumed by scoring.ts (+ hitGlow). The server scores
+   * submitted throw logs with the same config.
    */
-  group.userData.scoring = {
-    segments,
-    wedgeAngle,
-
-    // CENTER angle of wedge 0 (20)
-    startAngle: scoringStartAngleCenter,
-
-    // We place numbers clockwise around the board
-    direction: "cw",
-
-    // No extra rotation applied to scoring wedges
-    angleOffset: 0,
-
-    numbers: [...DARTBOARD_NUMBERS],
-    faceOuterPx: FACE_OUTER_PX,
-    ringRatios: { ...ringRatios },
-
-    // Tolerance (if your scoring.js uses it)
-    ringEpsN: 0.010,
-
-    points: {
-      bull: 25,
-      dbull: 50,
-    },
-  };
+  group.userData.scoring = createBoardScoringConfig(boardRadius);
 
   // --- 1. THE VISIBLE BACKBOARD (Cabinet Style) ---
   if (includeWall) {
@@ -290,16 +252,6 @@ export function createDartboard(options = {}) {
     roughness: 0.1,
   });
 
-  // Put wires on *real* boundaries so it visually matches the face better
-  const spiderRatios = [
-    0.995, // near outer rim
-    ringRatios.doubleInner,
-    ringRatios.tripleOuter,
-    ringRatios.tripleInner,
-    ringRatios.bullOuter,
-    ringRatios.dbullOuter,
-  ];
-
   spiderRatios.forEach((r) => {
     const ring = new THREE.Mesh(
       new THREE.TorusGeometry(boardRadius * r, 0.008, 8, 128),
@@ -310,6 +262,28 @@ export function createDartboard(options = {}) {
     group.add(ring);
   });
 
+  // Radial wires on the wedge boundaries (wedge 0 is centered at the top)
+  const radialInner = boardRadius * ringRatios.bullOuter;
+  const radialOuter = boardRadius * spiderRatios[0];
+  const radialLength = radialOuter - radialInner;
+  const radialGeom = new THREE.CylinderGeometry(0.006, 0.006, radialLength, 6);
+
+  for (let i = 0; i < segments; i++) {
+    const angle = scoringStartAngleCenter + wedgeAngle / 2 + i * wedgeAngle;
+    const mid = radialInner + radialLength / 2;
+
+    const wire = new THREE.Mesh(radialGeom, wireMat);
+    wire.position.set(
+      Math.cos(angle) * mid,
+      Math.sin(angle) * mid,
+      boardThickness / 2 + 0.01
+    );
+    // Cylinder axis is +Y; turn it to point along the radius.
+    wire.rotation.z = angle - Math.PI / 2;
+    wire.castShadow = true;
+    group.add(wire);
+  }
+
   // --- 4. 3D NUMBERS ---
   const loader = new FontLoader();
   loader.load("/fonts/helvetiker_bold.typeface.json", (font) => {
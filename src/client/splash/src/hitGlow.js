@@ -142,8 +142,32 @@ export function createHitGlow(boardGroup, opts = {}) {
     boardGroup.add(activeMesh);
   }
 
+  /**
+   * Highlight an aiming target instead of a scored segment:
+   * { wedgeIndex } lights the whole wedge (bull edge to the double wire),
+   * { bull: true } lights both bulls.
+   */
+  function setTarget(target) {
+    clear();
+    const rr = scoring.ringRatios;
+
+    if (target?.bull) {
+      activeMesh = makeBullGlow(0, boardRadius * rr.bullOuter);
+    } else if (typeof target?.wedgeIndex === "number") {
+      activeMesh = makeWedgeGlow(
+        boardRadius * rr.bullOuter,
+        boardRadius * rr.doubleOuter,
+        target.wedgeIndex
+      );
+    } else {
+      return;
+    }
+    boardGroup.add(activeMesh);
+  }
+
   return {
     setFromScore,
+    setTarget,
     clear,
     dispose: () => { clear(); material.dispose(); }
   };
@@ -9,6 +9,9 @@
  *   const hud = createRoundHud({ maxDarts: 10 });
  *   hud.setVisible(true);
  *   hud.setState({ dartsThrown: 0, totalScore: 0, lastText: "—" });
+ *   hud.setState({ dartsThrown: 4, scoreText: "Left: 341" }); // X01
+ *   hud.setState({ ..., visitText: "T20 T20 T20 = 180" }); // current visit
+ *   hud.setMaxDarts(null); // open-ended modes: no dots, "Darts: N"
  *   hud.flashScore(); // optional
  *   hud.showToast("T20 +60"); // optional
  *   hud.destroy();
@@ -41,6 +44,29 @@ function clamp(n, lo, hi) {
   return n;
 }
 
+// How each board reads in "You beat N% of players ...".
+const PERIOD_PHRASES = {
+  daily: "today",
+  weekly: "this week",
+  "all-time": "on this post",
+};
+
+// Round-end leaderboard tabs, in display order. The first one is the default.
+const LEADERBOARD_PERIOD_TABS = [
+  { period: "daily", label: "Today" },
+  { period: "weekly", label: "This week" },
+  { period: "all-time", label: "All-time" },
+];
+
+/**
+ * Leaderboard score cell. Boards ranked by darts read "12 darts" instead of "12".
+ */
+function formatLeaderboardScore(score, scoreUnit) {
+  const value = typeof score === "number" ? score : 0;
+  if (scoreUnit === "darts") return `${value} darts`;
+  return `${value}`;
+}
+
 /**
  * Inject minimal CSS for HUD + toast + round-end overlay.
  * If you already put these in splash.css you can skip calling this,
@@ -107,6 +133,20 @@ function ensureHudStyles() {
   white-space: nowrap;
 }
 
+#dd-hud .dd-hud-streak {
+  margin-top: 4px;
+  font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+  font-weight: 800;
+  font-size: 12px;
+  letter-spacing: 0.3px;
+  color: rgba(255, 190, 92, 0.95);
+}
+
+#dd-hud .dd-hud-streak.is-hidden,
+#dd-roundend .dd-roundend-streak.is-hidden {
+  display: none;
+}
+
 #dd-hud .dd-hud-dots {
   display: flex;
   align-items: center;
@@ -127,6 +167,10 @@ function ensureHudStyles() {
   border: 1px solid rgba(255, 255, 255, 0.25);
 }
 
+#dd-hud .dd-hud-dots.is-hidden {
+  display: none;
+}
+
 #dd-hud .dd-hud-last {
   font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
   font-weight: 600;
@@ -136,6 +180,16 @@ function ensureHudStyles() {
   line-height: 1.2;
 }
 
+#dd-hud .dd-hud-visit {
+  font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+  font-weight: 750;
+  font-size: 13px;
+  letter-spacing: 0.2px;
+  color: rgba(255, 255, 255, 0.88);
+  line-height: 1.2;
+  font-variant-numeric: tabular-nums;
+}
+
 /* score flash */
 #dd-hud .dd-hud-score.is-flash {
   animation: ddHudScoreFlash 260ms ease-out;
@@ -272,6 +326,16 @@ function ensureHudStyles() {
   text-align: center;
 }
 
+#dd-roundend .dd-roundend-streak {
+  margin-left: auto;
+  font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+  font-weight: 800;
+  font-size: 13px;
+  letter-spacing: 0.2px;
+  color: rgba(255,190,92,0.95);
+  white-space: nowrap;
+}
+
 #dd-roundend .dd-roundend-score {
   font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
   font-weight: 900;
@@ -281,6 +345,40 @@ function ensureHudStyles() {
   margin-bottom: 12px;
 }
 
+#dd-roundend .dd-roundend-distribution {
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  margin-bottom: 10px;
+}
+
+#dd-roundend .dd-roundend-dist-bars {
+  display: flex;
+  align-items: flex-end;
+  gap: 3px;
+  height: 44px;
+}
+
+#dd-roundend .dd-roundend-dist-bar {
+  flex: 1;
+  min-height: 2px;
+  border-radius: 3px 3px 0 0;
+  background: rgba(255,255,255,0.22);
+}
+
+#dd-roundend .dd-roundend-dist-bar.is-me {
+  background: rgba(255,214,102,0.9);
+}
+
+#dd-roundend .dd-roundend-dist-caption {
+  font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+  font-weight: 700;
+  font-size: 13px;
+  letter-spacing: 0.2px;
+  text-align: center;
+  color: rgba(255,255,255,0.85);
+}
+
 #dd-roundend .dd-roundend-leaderboard {
   display: flex;
   flex-direction: column;
@@ -288,6 +386,36 @@ function ensureHudStyles() {
   margin-bottom: 10px;
 }
 
+#dd-roundend .dd-roundend-tabs {
+  display: flex;
+  gap: 6px;
+}
+
+#dd-roundend .dd-roundend-tab {
+  flex: 1;
+  appearance: none;
+  cursor: pointer;
+  padding: 6px 8px;
+  border-radius: 10px;
+  background: rgba(255,255,255,0.06);
+  border: 1px solid rgba(255,255,255,0.10);
+  font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+  font-weight: 750;
+  font-size: 12px;
+  letter-spacing: 0.2px;
+  color: rgba(255,255,255,0.7);
+}
+
+#dd-roundend .dd-roundend-tab.is-active {
+  background: rgba(255,255,255,0.18);
+  border-color: rgba(255,255,255,0.28);
+  color: rgba(255,255,255,0.98);
+}
+
+#dd-roundend .dd-roundend-tab.is-hidden {
+  display: none;
+}
+
 #dd-roundend .dd-roundend-leaderboard-body {
   display: flex;
   flex-direction: column;
@@ -321,6 +449,19 @@ function ensureHudStyles() {
   font-style: italic;
 }
 
+#dd-roundend .dd-roundend-row.is-gap {
+  justify-content: center;
+  background: transparent;
+  border-color: transparent;
+  color: rgba(255,255,255,0.55);
+}
+
+#dd-roundend .dd-roundend-row.is-me {
+  background: rgba(255,214,102,0.18);
+  border-color: rgba(255,214,102,0.45);
+  color: rgba(255,255,255,0.98);
+}
+
 #dd-roundend .dd-roundend-row-name {
   flex: 1;
   min-width: 0;
@@ -357,6 +498,89 @@ function ensureHudStyles() {
   margin-bottom: 8px;
 }
 
+#dd-roundend .dd-roundend-profile {
+  display: none;
+  flex-direction: column;
+  gap: 8px;
+  margin-bottom: 10px;
+  font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+  color: rgba(255,255,255,0.9);
+}
+
+#dd-roundend .dd-roundend-card.is-profile .dd-roundend-profile {
+  display: flex;
+}
+
+#dd-roundend .dd-roundend-card.is-profile .dd-roundend-distribution,
+#dd-roundend .dd-roundend-card.is-profile .dd-roundend-leaderboard,
+#dd-roundend .dd-roundend-card.is-profile .dd-roundend-footerline {
+  display: none !important;
+}
+
+#dd-roundend .dd-roundend-profile-grid {
+  display: grid;
+  grid-template-columns: repeat(4, 1fr);
+  gap: 6px;
+}
+
+#dd-roundend .dd-roundend-stat {
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  padding: 6px 4px;
+  border-radius: 10px;
+  background: rgba(255,255,255,0.06);
+  border: 1px solid rgba(255,255,255,0.10);
+}
+
+#dd-roundend .dd-roundend-stat-value {
+  font-weight: 900;
+  font-size: 17px;
+  font-variant-numeric: tabular-nums;
+}
+
+#dd-roundend .dd-roundend-stat-label {
+  font-weight: 650;
+  font-size: 11px;
+  color: rgba(255,255,255,0.65);
+}
+
+#dd-roundend .dd-roundend-profile-line {
+  font-weight: 700;
+  font-size: 13px;
+  text-align: center;
+}
+
+#dd-roundend .dd-roundend-badges {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(84px, 1fr));
+  gap: 6px;
+}
+
+#dd-roundend .dd-roundend-badge {
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 2px;
+  padding: 6px 4px;
+  border-radius: 10px;
+  background: rgba(255,214,102,0.14);
+  border: 1px solid rgba(255,214,102,0.40);
+  text-align: center;
+  font-size: 11px;
+  font-weight: 750;
+}
+
+#dd-roundend .dd-roundend-badge.is-locked {
+  background: rgba(255,255,255,0.04);
+  border-color: rgba(255,255,255,0.08);
+  color: rgba(255,255,255,0.45);
+}
+
+#dd-roundend .dd-roundend-badge-icon {
+  font-size: 18px;
+}
+
 #dd-roundend .dd-roundend-actions {
   display: flex;
   justify-content: flex-end;
@@ -386,6 +610,16 @@ function ensureHudStyles() {
   transform: translateY(1px);
 }
 
+#dd-roundend .dd-roundend-btn:disabled {
+  cursor: default;
+  opacity: 0.6;
+  transform: none;
+}
+
+#dd-roundend .dd-roundend-btn.is-hidden {
+  display: none;
+}
+
 @media (max-width: 420px) {
   #dd-hud { left: 10px; top: 10px; }
   #dd-hud .dd-hud-card { padding: 9px 11px; border-radius: 12px; }
@@ -400,7 +634,9 @@ function ensureHudStyles() {
  * Create the round HUD + optional toast + round end overlay.
  */
 export function createRoundHud(options = {}) {
-  const maxDarts = clamp(safeInt(options.maxDarts, 10), 1, 60);
+  // null => open-ended round (X01 etc.): no dots, just a dart counter.
+  let maxDarts =
+    options.maxDarts === null ? null : clamp(safeInt(options.maxDarts, 10), 1, 60);
   const injectStyles = options.injectStyles !== undefined ? !!options.injectStyles : true;
   const stageContainer = document.getElementById("stage") ?? document.body;
 
@@ -427,7 +663,7 @@ export function createRoundHud(options = {}) {
 
   const dartsEl = document.createElement("div");
   dartsEl.className = "dd-hud-meta";
-  dartsEl.textContent = `Darts: 0/${maxDarts}`;
+  dartsEl.textContent = maxDarts === null ? "Darts: 0" : `Darts: 0/${maxDarts}`;
 
   rowTop.appendChild(scoreEl);
   rowTop.appendChild(dartsEl);
@@ -436,20 +672,43 @@ export function createRoundHud(options = {}) {
   dotsRow.className = "dd-hud-dots";
 
   const dotEls = [];
-  for (let i = 0; i < maxDarts; i++) {
-    const dot = document.createElement("div");
-    dot.className = "dd-hud-dot";
-    dotsRow.appendChild(dot);
-    dotEls.push(dot);
+
+  function buildDots() {
+    while (dotsRow.firstChild) {
+      dotsRow.removeChild(dotsRow.firstChild);
+    }
+    dotEls.length = 0;
+
+    dotsRow.classList.toggle("is-hidden", maxDarts === null);
+    if (maxDarts === null) return;
+
+    for (let i = 0; i < maxDarts; i++) {
+      const dot = document.createElement("div");
+      dot.className = "dd-hud-dot";
+      dotsRow.appendChild(dot);
+      dotEls.push(dot);
+    }
   }
 
+  buildDots();
+
+  const visitEl = document.createElement("div");
+  visitEl.className = "dd-hud-visit";
+  visitEl.textContent = "Visit: —";
+
   const lastEl = document.createElement("div");
   lastEl.className = "dd-hud-last";
   lastEl.textContent = "Last: —";
 
   card.appendChild(rowTop);
   card.appendChild(dotsRow);
+  card.appendChild(visitEl);
   card.appendChild(lastEl);
+
+  // Daily streak flame; hidden until the player has a streak going.
+  const streakEl = document.createElement("div");
+  streakEl.className = "dd-hud-streak is-hidden";
+  card.appendChild(streakEl);
   hud.appendChild(card);
 
   stageContainer.appendChild(hud);
@@ -517,13 +776,46 @@ export function createRoundHud(options = {}) {
   roundEndTitle.className = "dd-roundend-title";
   roundEndTitle.textContent = "Round Complete";
 
+  const roundEndStreak = document.createElement("div");
+  roundEndStreak.className = "dd-roundend-streak is-hidden";
+
   const roundEndScore = document.createElement("div");
   roundEndScore.className = "dd-roundend-score";
   roundEndScore.textContent = "Score: 0";
 
+  const roundEndDistribution = document.createElement("div");
+  roundEndDistribution.className = "dd-roundend-distribution";
+
+  const roundEndDistBars = document.createElement("div");
+  roundEndDistBars.className = "dd-roundend-dist-bars";
+
+  const roundEndDistCaption = document.createElement("div");
+  roundEndDistCaption.className = "dd-roundend-dist-caption";
+
+  roundEndDistribution.appendChild(roundEndDistBars);
+  roundEndDistribution.appendChild(roundEndDistCaption);
+
   const roundEndLeaderboard = document.createElement("div");
   roundEndLeaderboard.className = "dd-roundend-leaderboard";
 
+  const roundEndTabs = document.createElement("div");
+  roundEndTabs.className = "dd-roundend-tabs";
+
+  const tabEls = new Map();
+  for (const { period, label } of LEADERBOARD_PERIOD_TABS) {
+    const tab = document.createElement("button");
+    tab.className = "dd-roundend-tab";
+    tab.type = "button";
+    tab.textContent = label;
+    tab.addEventListener("click", () => {
+      if (period === activePeriod) return;
+      setLeaderboardPeriod(period);
+      if (onLeaderboardPeriodCb) onLeaderboardPeriodCb(period);
+    });
+    tabEls.set(period, tab);
+    roundEndTabs.appendChild(tab);
+  }
+
   const roundEndLeaderboardBody = document.createElement("div");
   roundEndLeaderboardBody.className = "dd-roundend-leaderboard-body";
 
@@ -531,6 +823,10 @@ export function createRoundHud(options = {}) {
   roundEndFooterLine.className = "dd-roundend-footerline";
   roundEndFooterLine.textContent = "You are #—";
 
+  // Lifetime stats; swaps places with the leaderboard via "My Stats".
+  const roundEndProfile = document.createElement("div");
+  roundEndProfile.className = "dd-roundend-profile";
+
   const roundEndActions = document.createElement("div");
   roundEndActions.className = "dd-roundend-actions";
 
@@ -539,23 +835,40 @@ export function createRoundHud(options = {}) {
   btnAgain.type = "button";
   btnAgain.textContent = "Play Again";
 
+  const btnStats = document.createElement("button");
+  btnStats.className = "dd-roundend-btn";
+  btnStats.type = "button";
+  btnStats.textContent = "My Stats";
+
   const btnClose = document.createElement("button");
   btnClose.className = "dd-roundend-btn";
   btnClose.type = "button";
   btnClose.textContent = "Close";
 
+  // Comments the round on the post; only offered for ranked rounds.
+  const btnShare = document.createElement("button");
+  btnShare.className = "dd-roundend-btn is-hidden";
+  btnShare.type = "button";
+  btnShare.textContent = "Share";
+
+  roundEndActions.appendChild(btnShare);
+  roundEndActions.appendChild(btnStats);
   roundEndActions.appendChild(btnClose);
   roundEndActions.appendChild(btnAgain);
 
   roundEndHeader.appendChild(roundEndLogo);
   roundEndHeader.appendChild(roundEndTitle);
+  roundEndHeader.appendChild(roundEndStreak);
 
+  roundEndLeaderboard.appendChild(roundEndTabs);
   roundEndLeaderboard.appendChild(roundEndLeaderboardBody);
 
   roundEndCard.appendChild(roundEndHeader);
   roundEndCard.appendChild(roundEndScore);
+  roundEndCard.appendChild(roundEndDistribution);
   roundEndCard.appendChild(roundEndLeaderboard);
   roundEndCard.appendChild(roundEndFooterLine);
+  roundEndCard.appendChild(roundEndProfile);
   roundEndCard.appendChild(roundEndActions);
 
   roundEnd.appendChild(roundEndBackdrop);
@@ -569,68 +882,425 @@ export function createRoundHud(options = {}) {
     onPlayAgainCb = typeof cb === "function" ? cb : null;
   }
 
+  let onShareCb = null;
+
+  /** cb() => Promise<void>; rejects if the comment could not be posted. */
+  function setOnShare(cb) {
+    onShareCb = typeof cb === "function" ? cb : null;
+  }
+
+  function setShareAvailable(isAvailable) {
+    btnShare.classList.toggle("is-hidden", !isAvailable);
+    btnShare.disabled = false;
+    btnShare.textContent = "Share";
+  }
+
+  let onLeaderboardPeriodCb = null;
+  let activePeriod = LEADERBOARD_PERIOD_TABS[0].period;
+
+  function setOnLeaderboardPeriod(cb) {
+    onLeaderboardPeriodCb = typeof cb === "function" ? cb : null;
+  }
+
+  function setLeaderboardPeriod(period) {
+    if (!tabEls.has(period)) return;
+    activePeriod = period;
+    for (const [tabPeriod, tab] of tabEls) {
+      tab.classList.toggle("is-active", tabPeriod === period);
+    }
+  }
+  setLeaderboardPeriod(activePeriod);
+
+  // Hide the tabs for boards the post doesn't keep (daily posts only have today's).
+  function setLeaderboardPeriods(periods) {
+    for (const [tabPeriod, tab] of tabEls) {
+      tab.classList.toggle("is-hidden", !periods.includes(tabPeriod));
+    }
+  }
+
   function hideRoundEnd() {
     roundEnd.classList.remove("is-show");
   }
 
-  function showRoundEnd(summary = {}) {
-    const totalScore = safeInt(summary.totalScore, 0);
-    const leaderboard = summary?.leaderboard ?? null;
-    const entries = Array.isArray(leaderboard?.top) ? leaderboard.top : [];
-    const rankValue =
-      typeof leaderboard?.rank === "number" ? leaderboard.rank : null;
+  // Round-end leaderboard rows (rank -> entry) and paging state.
+  const rowsByRank = new Map();
+  let leaderboardScoreUnit = "points";
+  let leaderboardCallerId = null;
+  let leaderboardCursor = null;
+  let onLoadMoreLeaderboardCb = null;
+  let isLoadingMore = false;
+  // Bumped whenever the board is replaced, so late pages can be dropped.
+  let leaderboardGeneration = 0;
+
+  // Load the next page once the list is scrolled within this many px of the end.
+  const LOAD_MORE_THRESHOLD_PX = 48;
+
+  /**
+   * cb(cursor) => Promise<{ entries, nextCursor }>; called when the player
+   * scrolls to the bottom of the round-end leaderboard.
+   */
+  function setOnLoadMoreLeaderboard(cb) {
+    onLoadMoreLeaderboardCb = typeof cb === "function" ? cb : null;
+  }
 
-    roundEndScore.textContent = `Score: ${totalScore}`;
-    roundEndTitle.textContent = leaderboard ? "Leaderboard" : "Round Complete";
-    roundEndFooterLine.textContent =
-      typeof rankValue === "number" ? `You are #${rankValue}` : "You are #—";
+  function mergeLeaderboardRows(entries) {
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (typeof entry?.rank !== "number") continue;
+      // Ranks shift while paging; keep each player once, at their newest rank.
+      for (const [rank, existing] of rowsByRank) {
+        if (existing.userId === entry.userId && rank !== entry.rank) rowsByRank.delete(rank);
+      }
+      rowsByRank.set(entry.rank, entry);
+    }
+  }
 
-    // Clear old rows
+  function createLeaderboardRow(entry) {
+    const row = document.createElement("div");
+    row.className = "dd-roundend-row";
+    if (leaderboardCallerId && entry.userId === leaderboardCallerId) {
+      row.classList.add("is-me");
+    }
+
+    const rankEl = document.createElement("div");
+    rankEl.className = "dd-roundend-row-rank";
+    rankEl.textContent = `#${entry.rank}`;
+
+    const nameEl = document.createElement("div");
+    nameEl.className = "dd-roundend-row-name";
+    nameEl.textContent = entry?.metadata?.username || entry?.userId || "anonymous";
+
+    const scoreEl = document.createElement("div");
+    scoreEl.className = "dd-roundend-row-score";
+    scoreEl.textContent = formatLeaderboardScore(entry?.score, leaderboardScoreUnit);
+
+    row.appendChild(rankEl);
+    row.appendChild(nameEl);
+    row.appendChild(scoreEl);
+    return row;
+  }
+
+  function renderLeaderboardRows() {
     while (roundEndLeaderboardBody.firstChild) {
       roundEndLeaderboardBody.removeChild(roundEndLeaderboardBody.firstChild);
     }
 
-    if (!entries.length) {
+    if (!rowsByRank.size) {
       const emptyRow = document.createElement("div");
       emptyRow.className = "dd-roundend-row is-empty";
       emptyRow.textContent = "No scores yet";
       roundEndLeaderboardBody.appendChild(emptyRow);
-    } else {
-      for (let i = 0; i < entries.length; i++) {
-        const entry = entries[i];
-        const row = document.createElement("div");
-        row.className = "dd-roundend-row";
-
-        const rankEl = document.createElement("div");
-        rankEl.className = "dd-roundend-row-rank";
-        rankEl.textContent = entry?.rank ? `#${entry.rank}` : `#${i + 1}`;
-
-        const nameEl = document.createElement("div");
-        nameEl.className = "dd-roundend-row-name";
-        nameEl.textContent =
-          entry?.metadata?.username || entry?.userId || "anonymous";
-
-        const scoreEl = document.createElement("div");
-        scoreEl.className = "dd-roundend-row-score";
-        scoreEl.textContent =
-          typeof entry?.score === "number" ? `${entry.score}` : "0";
-
-        row.appendChild(rankEl);
-        row.appendChild(nameEl);
-        row.appendChild(scoreEl);
-        roundEndLeaderboardBody.appendChild(row);
+      return;
+    }
+
+    const ranks = [...rowsByRank.keys()].sort((a, b) => a - b);
+    let previousRank = 0;
+    for (const rank of ranks) {
+      // "…" between the top of the board and the caller's neighbourhood.
+      if (rank > previousRank + 1 && previousRank > 0) {
+        const gapRow = document.createElement("div");
+        gapRow.className = "dd-roundend-row is-gap";
+        gapRow.textContent = "…";
+        roundEndLeaderboardBody.appendChild(gapRow);
+      }
+      roundEndLeaderboardBody.appendChild(createLeaderboardRow(rowsByRank.get(rank)));
+      previousRank = rank;
+    }
+  }
+
+  async function loadMoreLeaderboardRows() {
+    if (isLoadingMore || !leaderboardCursor || !onLoadMoreLeaderboardCb) return;
+
+    isLoadingMore = true;
+    const generation = leaderboardGeneration;
+    try {
+      const page = await onLoadMoreLeaderboardCb(leaderboardCursor);
+      // A newer showRoundEnd() replaced the board while this page was loading.
+      if (generation !== leaderboardGeneration) return;
+      leaderboardCursor = page?.nextCursor ?? null;
+      if (Array.isArray(page?.entries) && page.entries.length) {
+        const scrollTop = roundEndLeaderboardBody.scrollTop;
+        mergeLeaderboardRows(page.entries);
+        renderLeaderboardRows();
+        roundEndLeaderboardBody.scrollTop = scrollTop;
+      }
+    } catch (error) {
+      console.warn("Failed to load more leaderboard rows", error);
+    } finally {
+      isLoadingMore = false;
+    }
+  }
+
+  roundEndLeaderboardBody.addEventListener("scroll", () => {
+    const { scrollTop, scrollHeight, clientHeight } = roundEndLeaderboardBody;
+    if (scrollHeight - scrollTop - clientHeight <= LOAD_MORE_THRESHOLD_PX) {
+      void loadMoreLeaderboardRows();
+    }
+  });
+
+  function distributionCaption(distribution, period) {
+    const where = PERIOD_PHRASES[period] ?? PERIOD_PHRASES["all-time"];
+    if (typeof distribution.percentile === "number") {
+      return `You beat ${distribution.percentile}% of players ${where}`;
+    }
+    if (distribution.callerRank === 1) return `First on the board ${where}!`;
+    const players = distribution.totalPlayers;
+    return `${players} ${players === 1 ? "player" : "players"} ${where}`;
+  }
+
+  /**
+   * Small histogram of every score on the board with the caller's bucket
+   * highlighted. Better scores are always on the right.
+   */
+  function renderDistribution(distribution, period) {
+    while (roundEndDistBars.firstChild) {
+      roundEndDistBars.removeChild(roundEndDistBars.firstChild);
+    }
+
+    const buckets = Array.isArray(distribution?.buckets) ? distribution.buckets : [];
+    if (!buckets.length) {
+      roundEndDistribution.style.display = "none";
+      return;
+    }
+
+    const maxCount = Math.max(1, ...buckets.map((bucket) => bucket.count));
+    const order = buckets.map((_, i) => i);
+    if (distribution.lowerIsBetter) order.reverse();
+
+    for (const i of order) {
+      const bucket = buckets[i];
+      const bar = document.createElement("div");
+      bar.className = "dd-roundend-dist-bar";
+      bar.classList.toggle("is-me", i === distribution.callerBucket);
+      bar.style.height = `${Math.round((bucket.count / maxCount) * 100)}%`;
+      bar.title =
+        bucket.min === bucket.max
+          ? `${bucket.min}: ${bucket.count}`
+          : `${bucket.min}–${bucket.max}: ${bucket.count}`;
+      roundEndDistBars.appendChild(bar);
+    }
+
+    roundEndDistCaption.textContent = distributionCaption(distribution, period);
+    roundEndDistribution.style.display = "";
+  }
+
+  let onLoadProfileCb = null;
+  let profileRequest = 0;
+
+  /**
+   * cb() => Promise<{ stats, mode, scoreUnit, badges }>; stats is null for
+   * logged-out players or before their first ranked round. badges is the
+   * achievement catalogue: [{ id, name, description, unlocked }].
+   */
+  function setOnLoadProfile(cb) {
+    onLoadProfileCb = typeof cb === "function" ? cb : null;
+  }
+
+  function createStatTile(value, label) {
+    const tile = document.createElement("div");
+    tile.className = "dd-roundend-stat";
+
+    const valueEl = document.createElement("div");
+    valueEl.className = "dd-roundend-stat-value";
+    valueEl.textContent = value;
+
+    const labelEl = document.createElement("div");
+    labelEl.className = "dd-roundend-stat-label";
+    labelEl.textContent = label;
+
+    tile.appendChild(valueEl);
+    tile.appendChild(labelEl);
+    return tile;
+  }
+
+  function createProfileLine(text) {
+    const line = document.createElement("div");
+    line.className = "dd-roundend-profile-line";
+    line.textContent = text;
+    return line;
+  }
+
+  function clearProfile() {
+    while (roundEndProfile.firstChild) {
+      roundEndProfile.removeChild(roundEndProfile.firstChild);
+    }
+  }
+
+  function setProfileMessage(text) {
+    clearProfile();
+    roundEndProfile.appendChild(createProfileLine(text));
+  }
+
+  function renderProfile(profile) {
+    const stats = profile?.stats ?? null;
+    if (!stats) {
+      setProfileMessage(
+        profile?.loggedIn === false
+          ? "Log in to Reddit to track your stats"
+          : "Finish a ranked round to start your stats"
+      );
+      return;
+    }
+
+    clearProfile();
+
+    const percent = (rate) => `${Math.round(rate * 100)}%`;
+    const best = stats.bestRounds?.[profile.mode];
+    const bestText =
+      typeof best === "number" ? formatLeaderboardScore(best, profile.scoreUnit) : "—";
+
+    const grid = document.createElement("div");
+    grid.className = "dd-roundend-profile-grid";
+    grid.appendChild(createStatTile(`${stats.roundsPlayed}`, "Rounds"));
+    grid.appendChild(createStatTile(stats.averagePerDart.toFixed(1), "Avg / dart"));
+    grid.appendChild(createStatTile(bestText, "Best round"));
+    grid.appendChild(createStatTile(percent(stats.missRate), "Miss rate"));
+    grid.appendChild(createStatTile(`${stats.trebles}`, "Trebles"));
+    grid.appendChild(createStatTile(`${stats.doubles}`, "Doubles"));
+    grid.appendChild(createStatTile(`${stats.bulls}`, "Bulls"));
+    grid.appendChild(createStatTile(`${stats.dartsThrown}`, "Darts"));
+    roundEndProfile.appendChild(grid);
+
+    const favourites = [...(stats.numbers ?? [])]
+      .filter((n) => n.hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .slice(0, 3)
+      .map((n) => `${n.number} (${percent(n.dartShare)})`);
+    // The percentages are each number's share of every dart thrown, not accuracy.
+    if (favourites.length) {
+      roundEndProfile.appendChild(
+        createProfileLine(`Most hit (share of all darts): ${favourites.join(", ")}`)
+      );
+    }
+  }
+
+  // Every achievement in the catalogue; locked ones are dimmed.
+  function renderBadgeShelf(badges) {
+    if (!Array.isArray(badges) || !badges.length) return;
+
+    const unlockedCount = badges.filter((badge) => badge.unlocked).length;
+    roundEndProfile.appendChild(
+      createProfileLine(`Badges ${unlockedCount}/${badges.length}`)
+    );
+
+    const shelf = document.createElement("div");
+    shelf.className = "dd-roundend-badges";
+    for (const badge of badges) {
+      const tile = document.createElement("div");
+      tile.className = "dd-roundend-badge";
+      tile.classList.toggle("is-locked", !badge.unlocked);
+      tile.title = badge.description;
+
+      const icon = document.createElement("div");
+      icon.className = "dd-roundend-badge-icon";
+      icon.textContent = badge.unlocked ? "🏅" : "🔒";
+
+      const name = document.createElement("div");
+      name.textContent = badge.name;
+
+      tile.appendChild(icon);
+      tile.appendChild(name);
+      shelf.appendChild(tile);
+    }
+    roundEndProfile.appendChild(shelf);
+  }
+
+  function setProfileView(isProfile) {
+    roundEndCard.classList.toggle("is-profile", isProfile);
+    btnStats.textContent = isProfile ? "Leaderboard" : "My Stats";
+  }
+
+  async function showProfile() {
+    setProfileView(true);
+    if (!onLoadProfileCb) {
+      setProfileMessage("Stats are unavailable right now");
+      return;
+    }
+    setProfileMessage("Loading stats…");
+
+    const request = ++profileRequest;
+    try {
+      const profile = await onLoadProfileCb();
+      if (request === profileRequest) {
+        renderProfile(profile);
+        renderBadgeShelf(profile?.badges);
       }
+    } catch (error) {
+      console.warn("Failed to load player stats", error);
+      if (request === profileRequest) setProfileMessage("Stats are unavailable right now");
     }
+  }
+
+  function showRoundEnd(summary = {}) {
+    const totalScore = safeInt(summary.totalScore, 0);
+    const leaderboard = summary?.leaderboard ?? null;
+    const entries = Array.isArray(leaderboard?.top) ? leaderboard.top : [];
+    const rankValue =
+      typeof leaderboard?.rank === "number" ? leaderboard.rank : null;
+    const scoreUnit = leaderboard?.scoreUnit ?? "points";
+
+    // A fresh overlay opens on the leaderboard; updates to an open one keep
+    // whichever view the player picked.
+    if (!roundEnd.classList.contains("is-show")) setProfileView(false);
+
+    roundEndScore.textContent = safeStr(summary.scoreText, `Score: ${totalScore}`);
+    roundEndTitle.textContent = leaderboard ? "Leaderboard" : "Round Complete";
+    roundEndTabs.style.display = leaderboard ? "" : "none";
+    if (leaderboard?.period) setLeaderboardPeriod(leaderboard.period);
+    renderDistribution(summary?.distribution ?? null, activePeriod);
+    if (leaderboard?.ranked === false) {
+      roundEndFooterLine.textContent = "Log in to Reddit to get ranked";
+    } else {
+      roundEndFooterLine.textContent =
+        typeof rankValue === "number" ? `You are #${rankValue}` : "You are #—";
+    }
+
+    // Fresh board: top page plus the caller's neighbourhood, keyed by rank so
+    // later pages can merge in without duplicating anyone.
+    rowsByRank.clear();
+    leaderboardGeneration += 1;
+    leaderboardScoreUnit = scoreUnit;
+    leaderboardCallerId = leaderboard?.userId ?? null;
+    leaderboardCursor = leaderboard?.nextCursor ?? null;
+    mergeLeaderboardRows(entries);
+    mergeLeaderboardRows(Array.isArray(leaderboard?.around) ? leaderboard.around : []);
+    renderLeaderboardRows();
+    roundEndLeaderboardBody.scrollTop = 0;
 
     const isTall = window.innerHeight >= 480;
     roundEnd.classList.toggle("is-tall", isTall);
     roundEnd.classList.add("is-show");
   }
 
+  btnStats.addEventListener("click", () => {
+    if (roundEndCard.classList.contains("is-profile")) {
+      profileRequest += 1;
+      setProfileView(false);
+    } else {
+      void showProfile();
+    }
+  });
+
   btnClose.addEventListener("click", () => {
     hideRoundEnd();
   });
 
+  btnShare.addEventListener("click", async () => {
+    if (!onShareCb || btnShare.disabled) return;
+    btnShare.disabled = true;
+    btnShare.textContent = "Sharing…";
+    try {
+      await onShareCb();
+      btnShare.textContent = "Shared ✓";
+      showToast("Posted to the comments!");
+    } catch (error) {
+      console.warn("Failed to share round", error);
+      btnShare.disabled = false;
+      btnShare.textContent = "Share";
+      showToast("Couldn't share right now");
+    }
+  });
+
   btnAgain.addEventListener("click", () => {
     hideRoundEnd();
     if (onPlayAgainCb) onPlayAgainCb();
@@ -652,13 +1322,24 @@ export function createRoundHud(options = {}) {
     }
   }
 
+  function setMaxDarts(n) {
+    maxDarts = n === null ? null : clamp(safeInt(n, 10), 1, 60);
+    buildDots();
+  }
+
   function setState(state) {
-    const dartsThrown = clamp(safeInt(state?.dartsThrown, 0), 0, maxDarts);
+    const dartsThrown =
+      maxDarts === null
+        ? Math.max(0, safeInt(state?.dartsThrown, 0))
+        : clamp(safeInt(state?.dartsThrown, 0), 0, maxDarts);
     const totalScore = safeInt(state?.totalScore, 0);
     const lastText = safeStr(state?.lastText, "—");
+    const visitText = safeStr(state?.visitText, "—");
 
-    scoreEl.textContent = `Score: ${totalScore}`;
-    dartsEl.textContent = `Darts: ${dartsThrown}/${maxDarts}`;
+    visitEl.textContent = `Visit: ${visitText}`;
+    scoreEl.textContent = safeStr(state?.scoreText, `Score: ${totalScore}`);
+    dartsEl.textContent =
+      maxDarts === null ? `Darts: ${dartsThrown}` : `Darts: ${dartsThrown}/${maxDarts}`;
     lastEl.textContent = `Last: ${lastText}`;
 
     for (let i = 0; i < dotEls.length; i++) {
@@ -670,6 +1351,25 @@ export function createRoundHud(options = {}) {
     }
   }
 
+  /**
+   * streak: { current, best, playedToday } from the server, or null when
+   * logged out. Shows a flame with the day count on the HUD and round-end card.
+   */
+  function setStreak(streak) {
+    const current = Math.max(0, safeInt(streak?.current, 0));
+    const hidden = current < 1;
+
+    streakEl.classList.toggle("is-hidden", hidden);
+    roundEndStreak.classList.toggle("is-hidden", hidden);
+    if (hidden) return;
+
+    const best = safeInt(streak?.best, current);
+    streakEl.textContent = `🔥 ${current}-day streak`;
+    streakEl.title = `Best: ${best} days`;
+    roundEndStreak.textContent = `🔥 ${current}`;
+    roundEndStreak.title = `${current}-day streak (best ${best})`;
+  }
+
   function flashScore() {
     scoreEl.classList.remove("is-flash");
     // eslint-disable-next-line no-unused-expressions
@@ -692,10 +1392,14 @@ export function createRoundHud(options = {}) {
   }
 
   return {
-    maxDarts,
+    get maxDarts() {
+      return maxDarts;
+    },
 
     setVisible,
+    setMaxDarts,
     setState,
+    setStreak,
     flashScore,
 
     showToast,
@@ -703,6 +1407,16 @@ export function createRoundHud(options = {}) {
     showRoundEnd,
     hideRoundEnd,
     setOnPlayAgain,
+    setOnShare,
+    setShareAvailable,
+    setOnLeaderboardPeriod,
+    setOnLoadMoreLeaderboard,
+    setOnLoadProfile,
+    setLeaderboardPeriod,
+    setLeaderboardPeriods,
+    get leaderboardPeriod() {
+      return activePeriod;
+    },
 
     destroy,
   };
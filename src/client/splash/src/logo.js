@@ -28,6 +28,10 @@ export function createDailyDartsLogo(scene) {
   const HOLD_DURATION = 2.20;
   const HIDE_DURATION = 0.70;
 
+  // With more than one set of standings loaded, the held board cycles through
+  // them (post -> subreddit -> last season's champions) this often (seconds).
+  const ALTERNATE_VIEW_SECONDS = 6.0;
+
   // -----------------------------
   // Scratch vectors/quats to avoid per-frame allocations
   // -----------------------------
@@ -92,6 +96,9 @@ export function createDailyDartsLogo(scene) {
         texture: tex,
         drawLogo: () => {},
         drawLeaderboard: () => {},
+        drawSubredditLeaderboard: () => {},
+        drawChampions: () => {},
+        drawCricket: () => {},
       };
     }
 
@@ -298,8 +305,13 @@ export function createDailyDartsLogo(scene) {
         "center"
       );
 
+      // Boards ranked by fewest darts (X01) show dart counts instead of points.
+      const byDarts = data?.scoreUnit === "darts";
+      const scoreLabel = byDarts ? "Darts" : "Score";
       const scoreText =
-        typeof data?.score === "number" ? `Score: ${data.score}` : "Score: —";
+        typeof data?.score === "number"
+          ? `${scoreLabel}: ${data.score}`
+          : `${scoreLabel}: —`;
       const rankText =
         typeof data?.rank === "number" ? `Rank: #${data.rank}` : "Rank: —";
 
@@ -320,7 +332,13 @@ export function createDailyDartsLogo(scene) {
         const score = typeof entry?.score === "number" ? entry.score : 0;
         chalkTextLine(rankLabel, CANVAS_W * 0.2, y, "600 36px Arial", "left");
         chalkTextLine(name, CANVAS_W * 0.5, y, "600 36px Arial", "center");
-        chalkTextLine(`${score}`, CANVAS_W * 0.82, y, "700 36px Arial", "right");
+        chalkTextLine(
+          byDarts ? `${score} darts` : `${score}`,
+          CANVAS_W * 0.82,
+          y,
+          "700 36px Arial",
+          "right"
+        );
       }
 
       if (data?.username) {
@@ -334,6 +352,174 @@ export function createDailyDartsLogo(scene) {
       }
     }
 
+    // Cumulative standings across every post in the subreddit.
+    function drawSubredditBoard(data) {
+      drawBackground();
+
+      const title = data?.subredditName ? `r/${data.subredditName}` : "ALL-TIME";
+      chalkStrokeText(title, CANVAS_W * 0.5, CANVAS_H * 0.14, "900 80px Arial", "center");
+
+      const byDarts = data?.scoreUnit === "darts";
+      const stats = data?.callerStats ?? null;
+      const rankText =
+        typeof data?.rank === "number" ? `Rank: #${data.rank}` : "Rank: —";
+      const daysText =
+        typeof stats?.daysPlayed === "number" ? `Days: ${stats.daysPlayed}` : "Days: —";
+
+      chalkTextLine(rankText, CANVAS_W * 0.18, CANVAS_H * 0.27, "700 44px Arial", "left");
+      chalkTextLine(daysText, CANVAS_W * 0.82, CANVAS_H * 0.27, "700 44px Arial", "right");
+
+      // Column headings; darts-ranked modes have no running total.
+      const headY = CANVAS_H * 0.38;
+      chalkTextLine(byDarts ? "Best" : "Total", CANVAS_W * 0.60, headY, "700 32px Arial", "right");
+      chalkTextLine(byDarts ? "" : "Best", CANVAS_W * 0.72, headY, "700 32px Arial", "right");
+      chalkTextLine("Days", CANVAS_W * 0.84, headY, "700 32px Arial", "right");
+
+      const listStartY = CANVAS_H * 0.48;
+      const lineHeight = 52;
+      const entries = Array.isArray(data?.top) ? data.top : [];
+
+      for (let i = 0; i < 5; i++) {
+        const entry = entries[i];
+        if (!entry) break;
+        const y = listStartY + i * lineHeight;
+        const rankLabel = entry.rank ? `#${entry.rank}` : `#${i + 1}`;
+        const name = entry.username || entry.userId || "anonymous";
+        const best = typeof entry.bestRound === "number" ? `${entry.bestRound}` : "—";
+        const total = typeof entry.totalPoints === "number" ? `${entry.totalPoints}` : "—";
+        chalkTextLine(rankLabel, CANVAS_W * 0.16, y, "600 36px Arial", "left");
+        chalkTextLine(name, CANVAS_W * 0.24, y, "600 36px Arial", "left");
+        chalkTextLine(byDarts ? best : total, CANVAS_W * 0.60, y, "700 36px Arial", "right");
+        chalkTextLine(byDarts ? "" : best, CANVAS_W * 0.72, y, "600 36px Arial", "right");
+        chalkTextLine(`${entry.daysPlayed ?? 0}`, CANVAS_W * 0.84, y, "600 36px Arial", "right");
+      }
+
+      if (!entries.length) {
+        chalkTextLine("No rounds yet", CANVAS_W * 0.5, listStartY, "600 36px Arial", "center");
+      }
+    }
+
+    // The previous season's winners for the current game mode.
+    function drawChampionBoard(data) {
+      drawBackground();
+
+      chalkStrokeText("CHAMPION", CANVAS_W * 0.5, CANVAS_H * 0.14, "900 80px Arial", "center");
+      chalkTextLine(
+        data?.seasonId ? `Last season · ${data.seasonId}` : "Last season",
+        CANVAS_W * 0.5,
+        CANVAS_H * 0.26,
+        "700 40px Arial",
+        "center"
+      );
+
+      const byDarts = data?.scoreUnit === "darts";
+      const scoreText = (entry) => {
+        const value = byDarts ? entry.bestRound : entry.totalPoints;
+        if (typeof value !== "number") return "";
+        return byDarts ? `${value} darts` : `${value} pts`;
+      };
+
+      const champions = Array.isArray(data?.champions) ? data.champions : [];
+      const [winner, ...runnersUp] = champions;
+      if (!winner) {
+        chalkTextLine("No champion yet", CANVAS_W * 0.5, CANVAS_H * 0.5, "600 40px Arial", "center");
+        return;
+      }
+
+      const winnerName = winner.username || winner.userId || "anonymous";
+      chalkStrokeText(winnerName, CANVAS_W * 0.5, CANVAS_H * 0.46, "900 72px Arial", "center");
+      chalkTextLine(scoreText(winner), CANVAS_W * 0.5, CANVAS_H * 0.57, "700 40px Arial", "center");
+
+      const listStartY = CANVAS_H * 0.72;
+      const lineHeight = 52;
+      runnersUp.slice(0, 2).forEach((entry, i) => {
+        const y = listStartY + i * lineHeight;
+        const name = entry.username || entry.userId || "anonymous";
+        chalkTextLine(`#${entry.rank ?? i + 2}`, CANVAS_W * 0.20, y, "600 36px Arial", "left");
+        chalkTextLine(name, CANVAS_W * 0.30, y, "600 36px Arial", "left");
+        chalkTextLine(scoreText(entry), CANVAS_W * 0.80, y, "600 36px Arial", "right");
+      });
+    }
+
+    // Single chalk stroke with a little hand-drawn jitter
+    function chalkLine(x0, y0, x1, y1, width = 6) {
+      ctx.save();
+      ctx.lineCap = "round";
+      ctx.lineWidth = width;
+      for (let p = 0; p < 3; p++) {
+        ctx.strokeStyle = `rgba(255,255,255,${randBetween(0.35, 0.7)})`;
+        ctx.beginPath();
+        ctx.moveTo(x0 + randBetween(-1.5, 1.5), y0 + randBetween(-1.5, 1.5));
+        ctx.lineTo(x1 + randBetween(-1.5, 1.5), y1 + randBetween(-1.5, 1.5));
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    // Classic cricket marks: 1 = "/", 2 = "X", 3 = circled "X"
+    function chalkCricketMark(cx, cy, size, count) {
+      const h = size / 2;
+      if (count >= 1) chalkLine(cx - h, cy + h, cx + h, cy - h);
+      if (count >= 2) chalkLine(cx - h, cy - h, cx + h, cy + h);
+      if (count >= 3) {
+        ctx.save();
+        ctx.lineWidth = 5;
+        for (let p = 0; p < 3; p++) {
+          ctx.strokeStyle = `rgba(255,255,255,${randBetween(0.35, 0.7)})`;
+          ctx.beginPath();
+          ctx.arc(
+            cx + randBetween(-1.5, 1.5),
+            cy + randBetween(-1.5, 1.5),
+            size * 0.78,
+            0,
+            Math.PI * 2
+          );
+          ctx.stroke();
+        }
+        ctx.restore();
+      }
+    }
+
+    function drawCricketBoard(data) {
+      drawBackground();
+
+      chalkStrokeText("CRICKET", CANVAS_W * 0.5, CANVAS_H * 0.11, "900 84px Arial", "center");
+
+      const rows = Array.isArray(data?.rows) ? data.rows : [];
+      const top = CANVAS_H * 0.22;
+      const rowH = CANVAS_H * 0.085;
+      const labelX = CANVAS_W * 0.40;
+      const markX = CANVAS_W * 0.60;
+
+      // Grid: one divider between the numbers and the marks, plus row rules
+      chalkLine(CANVAS_W * 0.5, top, CANVAS_W * 0.5, top + rowH * rows.length, 4);
+
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const y = top + rowH * (i + 0.5);
+
+        chalkTextLine(row.label, labelX, y, "800 50px Arial", "center");
+        chalkCricketMark(markX, y, rowH * 0.52, row.marks);
+
+        if (row.closed) {
+          chalkLine(labelX - 48, y, labelX + 48, y, 4);
+        }
+
+        if (i < rows.length - 1) {
+          chalkLine(CANVAS_W * 0.30, top + rowH * (i + 1), CANVAS_W * 0.70, top + rowH * (i + 1), 2);
+        }
+      }
+
+      const points = typeof data?.points === "number" ? data.points : 0;
+      const darts =
+        typeof data?.dartsThrown === "number" && typeof data?.maxDarts === "number"
+          ? `Darts: ${data.dartsThrown}/${data.maxDarts}`
+          : "";
+
+      chalkTextLine(`Points: ${points}`, CANVAS_W * 0.18, CANVAS_H * 0.90, "700 44px Arial", "left");
+      chalkTextLine(darts, CANVAS_W * 0.82, CANVAS_H * 0.90, "700 44px Arial", "right");
+    }
+
     const tex = new THREE.CanvasTexture(canvas);
     tex.colorSpace = THREE.SRGBColorSpace;
     tex.wrapS = THREE.ClampToEdgeWrapping;
@@ -351,6 +537,18 @@ export function createDailyDartsLogo(scene) {
         drawLeaderboardBoard(data);
         tex.needsUpdate = true;
       },
+      drawSubredditLeaderboard: (data) => {
+        drawSubredditBoard(data);
+        tex.needsUpdate = true;
+      },
+      drawChampions: (data) => {
+        drawChampionBoard(data);
+        tex.needsUpdate = true;
+      },
+      drawCricket: (data) => {
+        drawCricketBoard(data);
+        tex.needsUpdate = true;
+      },
     };
   }
 
@@ -510,8 +708,13 @@ export function createDailyDartsLogo(scene) {
   const fadeMats = [boardMat, woodMat, backMat];
 
   const boardState = {
-    mode: "logo",
+    mode: "logo", // "logo" | "leaderboard" | "subreddit" | "champion" | "cricket"
     leaderboardData: null,
+    subredditData: null,
+    championData: null,
+    cricketData: null,
+    // Seconds the current leaderboard view has been on the board.
+    viewTime: 0,
   };
 
   function renderChalkboard() {
@@ -519,6 +722,18 @@ export function createDailyDartsLogo(scene) {
       chalkboard.drawLeaderboard(boardState.leaderboardData);
       return;
     }
+    if (boardState.mode === "subreddit") {
+      chalkboard.drawSubredditLeaderboard(boardState.subredditData);
+      return;
+    }
+    if (boardState.mode === "champion") {
+      chalkboard.drawChampions(boardState.championData);
+      return;
+    }
+    if (boardState.mode === "cricket") {
+      chalkboard.drawCricket(boardState.cricketData);
+      return;
+    }
     chalkboard.drawLogo();
   }
 
@@ -533,8 +748,32 @@ export function createDailyDartsLogo(scene) {
     scale: 0.001,
     opacity: 0.0,
     holdForever: false,
+    holdDuration: HOLD_DURATION,
   };
 
+  // Standings views that currently have data, in rotation order.
+  function availableStandingsViews() {
+    const views = [];
+    if (boardState.leaderboardData) views.push("leaderboard");
+    if (boardState.subredditData) views.push("subreddit");
+    if (boardState.championData?.champions?.length) views.push("champion");
+    return views;
+  }
+
+  // Cycle the held board through the standings views that have data.
+  function updateAlternateView(delta) {
+    const views = availableStandingsViews();
+    const index = views.indexOf(boardState.mode);
+    if (index === -1 || views.length < 2) return;
+
+    boardState.viewTime += delta;
+    if (boardState.viewTime < ALTERNATE_VIEW_SECONDS) return;
+
+    boardState.viewTime = 0;
+    boardState.mode = views[(index + 1) % views.length];
+    renderChalkboard();
+  }
+
   function setOpacity(a) {
     for (const m of fadeMats) {
       m.opacity = a;
@@ -567,17 +806,39 @@ export function createDailyDartsLogo(scene) {
   return {
     group,
     setMode: (mode = "logo") => {
-      boardState.mode = mode === "leaderboard" ? "leaderboard" : "logo";
+      boardState.mode =
+        mode === "leaderboard" || mode === "subreddit" || mode === "champion" || mode === "cricket"
+          ? mode
+          : "logo";
+      boardState.viewTime = 0;
       renderChalkboard();
     },
     setLeaderboardData: (data) => {
       boardState.mode = "leaderboard";
       boardState.leaderboardData = data ?? null;
+      boardState.viewTime = 0;
+      renderChalkboard();
+    },
+    // Stored for the alternate view; only redraws if that view is showing.
+    setSubredditLeaderboardData: (data) => {
+      boardState.subredditData = data ?? null;
+      if (boardState.mode === "subreddit") renderChalkboard();
+    },
+    // Last season's champions; another alternate view.
+    setChampionData: (data) => {
+      boardState.championData = data ?? null;
+      if (boardState.mode === "champion") renderChalkboard();
+    },
+    setCricketData: (data) => {
+      boardState.mode = "cricket";
+      boardState.cricketData = data ?? null;
       renderChalkboard();
     },
 
     show: (opts = {}) => {
       state.holdForever = !!(opts && opts.holdForever);
+      state.holdDuration =
+        typeof opts?.holdDuration === "number" ? opts.holdDuration : HOLD_DURATION;
 
       state.mode = "showing";
       state.t = 0;
@@ -638,8 +899,9 @@ export function createDailyDartsLogo(scene) {
         state.scale = 0.85;
         state.opacity = 1.0;
         setOpacity(1.0);
+        updateAlternateView(delta);
 
-        if (!state.holdForever && state.hold >= HOLD_DURATION) {
+        if (!state.holdForever && state.hold >= state.holdDuration) {
           state.mode = "hiding";
           state.t = 1;
         }
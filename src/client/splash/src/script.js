@@ -1,15 +1,31 @@
 import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
-import { context } from "@devvit/web/client";
 
-import { createDartboard } from "./board.js";
+import { createDartboard, DARTBOARD_NUMBERS } from "./board.js";
 import { createDart } from "./dart.js";
 import { createFireworksSystem } from "./fireworks.js";
 import { createConfettiSystem } from "./confetti.js";
 import { createActionManager } from "./animation.js";
 
-import { scoreFromBoardXY, formatHitForHud } from "./scoring.js";
+// Game rules are shared with the server, which replays submitted throw logs.
+import { formatHitForHud } from "../../../shared/game/scoring";
+import { GAME_MODES, createGameMode } from "../../../shared/game/modes";
+import {
+  createDailyChallenge,
+  createLocalDailyChallenge,
+} from "../../../shared/game/daily";
+import {
+  DEFAULT_GAME_CONFIG,
+  defaultLeaderboardPeriod,
+  postLeaderboardPeriods,
+} from "../../../shared/game/config";
+import { createThrowResolver, isVisitOver } from "../../../shared/game/throws";
+import {
+  ACHIEVEMENTS,
+  evaluateAchievements,
+  getAchievement,
+} from "../../../shared/game/achievements";
 import { createRoundHud } from "./hud.js";
 
 // ✅ NEW (requested)
@@ -35,9 +51,17 @@ const DART_TARGET_OFFSET = 0.28;
 // Aim disc sits a little further out than the dart stick point so it doesn't z-fight.
 const AIM_DISC_Z = DART_TARGET_OFFSET + 0.06;
 
-// Round settings
-const MAX_DARTS_PER_ROUND = 10;
-const LEADERBOARD_LIMIT = 5;
+// A Robin Hood dart sticks in the flights of the one before it, this far out.
+const ROBIN_HOOD_Z = DART_TARGET_OFFSET + 1.1;
+
+// The post's game config (mode, round length, difficulty, bounce-outs, leaderboard) and row count
+// come from /api/bootstrap; the shared defaults apply until it answers.
+let gameConfig = DEFAULT_GAME_CONFIG;
+let leaderboardLimit; // undefined => the server's default
+let modeLocked = false; // true once bootstrap says the post plays only gameConfig.mode
+// Players above and below you on the round-end card, and rows per extra page.
+const LEADERBOARD_AROUND = 3;
+const LEADERBOARD_PAGE_SIZE = 10;
 
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(
@@ -79,33 +103,167 @@ const actionManager = createActionManager(
 // -----------------------------
 let gameStarted = false;
 
-const startUI = createStartOverlay();
+const startUI = createStartOverlay({
+  modes: GAME_MODES,
+  initialMode: gameConfig.mode,
+});
 startUI.hide();
 
 // cache of the "start pose" after the board is synced
 let startPose = null;
 
 // -----------------------------
-// HUD + ROUND STATE (10 darts)
+// HUD + ROUND STATE
+// The active game mode (modes.js) owns the rules; this file owns the flow.
 // -----------------------------
+let gameMode = createGameMode(gameConfig.mode, {
+  maxDarts: gameConfig.dartsPerRound,
+});
+
 const roundHud = createRoundHud({
-  maxDarts: MAX_DARTS_PER_ROUND,
+  maxDarts: gameMode.maxDarts,
   injectStyles: false, // styles live in splash.css
 });
 
 roundHud.setVisible(false);
-roundHud.setState({ dartsThrown: 0, totalScore: 0, lastText: "—" });
+roundHud.setState({ ...gameMode.getHudState(), lastText: "—" });
 
 let roundActive = false;
-let dartsThrown = 0;
-let totalScore = 0;
-let throwHistory = []; // array of { label, points, ring, mult, wedge }
+let throwHistory = []; // array of { label, points, ring, mult, wedge, bust, visitOver }
+
+// Visits: darts are thrown in threes. A visit can end early (X01 bust, round over).
+// Landed darts stay in the board until the next visit starts.
+let visitThrows = []; // array of { label, points }
+let visitOver = false;
+
+// Every dart's disc + sampled hit, submitted with the score so the server can
+// replay the round (see shared/game/throws.ts).
+let roundId = null;
+let throwLog = []; // array of { centerX, centerY, radius, holdTime, releaseTime, hitX, hitY }
+
+// Celebration total queued until the visit's last dart actually lands.
+let pendingVisitCelebration = null;
+
+function formatVisitText(throws, bust) {
+  if (!throws.length) return "—";
+  const labels = throws.map((t) => t.label).join(" ");
+  if (bust) return `${labels} · BUST`;
+  const total = throws.reduce((sum, t) => sum + t.points, 0);
+  return `${labels} = ${total}`;
+}
+
+function startNewVisit() {
+  visitThrows = [];
+  visitOver = false;
+  pendingVisitCelebration = null;
+
+  // Darts already in the board are what new darts collide with.
+  if (throwResolver) throwResolver.startVisit();
+
+  if (typeof actionManager.clearStuckDarts === "function") {
+    actionManager.clearStuckDarts();
+  }
+}
+
+// Daily challenge: the server's seed drives the aim path, landing spread and the
+// day's modifier. Until /api/bootstrap answers we use a local date-derived seed.
+let dailyChallenge = createLocalDailyChallenge();
+let roundRngs = dailyChallenge.createRoundRngs();
+
+// The challenge the current round is being played under. Bootstrap can swap
+// dailyChallenge mid-round; that round still submits the seed it was thrown with.
+let roundChallenge = dailyChallenge;
+
+// Resolves collisions/wires and scores each dart; rebuilt with the rngs.
+let throwResolver = null;
+
+function applyDailyChallenge() {
+  roundChallenge = dailyChallenge;
+  roundRngs = roundChallenge.createRoundRngs();
+
+  throwResolver = createThrowResolver({
+    scoringConfig: { ...dartboard.userData.scoring, ...roundChallenge.boardOverrides },
+    rngs: roundRngs,
+    // Must match the server's replay of this post (throwLog.ts).
+    wireBounceOuts: gameConfig.wireBounceOuts,
+  });
+
+  if (aimDisc) {
+    aimDisc.configure({
+      ...roundChallenge.aim,
+      path: roundChallenge.aimPath,
+      rng: roundRngs.hit,
+    });
+  }
+}
+
+function createRoundId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function formatBestScore(best) {
+  const unit = gameMode.rankBy === "darts" ? " darts" : "";
+  return `Your best: ${best.score}${unit} (#${best.rank})`;
+}
+
+async function loadBootstrap() {
+  try {
+    const response = await fetch("/api/bootstrap");
+    if (!response.ok) {
+      throw new Error(`Bootstrap failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data && data.type === "bootstrap") {
+      gameConfig = data.config;
+      leaderboardLimit = data.leaderboardLimit;
+      dailyChallenge = createDailyChallenge(data.daily, gameConfig.difficulty);
+      modeLocked = !!data.modeLocked;
+      if (!gameStarted) {
+        startUI.setSelectedMode(gameConfig.mode);
+        startUI.setModeLocked(modeLocked);
+        selectGameMode(gameConfig.mode);
+      }
+      if (!roundActive) applyDailyChallenge();
+      roundHud.setStreak(data.streak ?? null);
+
+      // Daily posts only keep today's board; permanent ones open on all-time.
+      roundHud.setLeaderboardPeriods(postLeaderboardPeriods(gameConfig.leaderboard));
+      if (!lastRoundResult) {
+        leaderboardPeriod = defaultLeaderboardPeriod(gameConfig.leaderboard);
+        roundHud.setLeaderboardPeriod(leaderboardPeriod);
+      }
+
+      if (data.best) {
+        const best = formatBestScore(data.best);
+        startUI.setHint(data.playedToday ? `${best} · Again?` : best);
+      }
+    }
+  } catch (error) {
+    console.warn("Failed to load game bootstrap, using local defaults", error);
+  }
+}
+
+function selectGameMode(id) {
+  gameMode = createGameMode(id, { maxDarts: gameConfig.dartsPerRound });
+  roundHud.setMaxDarts(gameMode.maxDarts);
+}
+
+function getScoreUnit() {
+  return gameMode.rankBy === "darts" ? "darts" : "points";
+}
 
 function resetRound() {
-  dartsThrown = 0;
-  totalScore = 0;
+  gameMode.reset();
   throwHistory = [];
   roundActive = true;
+  roundId = createRoundId();
+  throwLog = [];
+  applyDailyChallenge();
+  startNewVisit();
 
   if (typeof actionManager.setLogoMode === "function") {
     actionManager.setLogoMode("logo");
@@ -113,10 +271,13 @@ function resetRound() {
 
   roundHud.setVisible(true);
   roundHud.setState({
-    dartsThrown,
-    totalScore,
+    ...gameMode.getHudState(),
     lastText: "—",
   });
+
+  refreshTargetGlow();
+
+  roundHud.showToast(`Daily ${roundChallenge.dayKey}: ${roundChallenge.modifier.label}`);
 }
 
 function endRound() {
@@ -128,36 +289,102 @@ function endRound() {
     aimDisc.cancelHold();
   }
 
-  roundHud.showToast("Round complete!");
-  roundHud.showRoundEnd({ totalScore });
+  refreshTargetGlow();
+
+  const result = gameMode.getResult();
 
-  void finalizeRoundLeaderboard();
+  roundHud.showToast(result.completed ? "Round complete!" : "Round over");
+  roundHud.showRoundEnd({ totalScore: result.score, scoreText: result.summaryText });
+
+  void finalizeRoundLeaderboard(result);
 }
 
 roundHud.setOnPlayAgain(() => {
   resetRound();
 });
 
-function getPlayerIdentity() {
-  const username =
-    (context && typeof context.username === "string" && context.username) ||
-    "anonymous";
-  const userId =
-    (context && typeof context.userId === "string" && context.userId) || username;
-  return { username, userId };
-}
+// The last ranked round; the server checks it against what it stored before
+// commenting it on the post as the player.
+let sharableRound = null;
 
-async function submitRoundScore(score) {
-  const { userId, username } = getPlayerIdentity();
+roundHud.setOnShare(async () => {
+  if (!sharableRound) throw new Error("No ranked round to share");
+  const response = await fetch("/api/round/share", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...sharableRound, period: leaderboardPeriod }),
+  });
+  if (!response.ok) {
+    throw new Error(`Share failed: ${response.status}`);
+  }
+});
+
+roundHud.setOnLoadMoreLeaderboard(async (cursor) => {
+  const page = await fetchLeaderboard({ cursor, limit: LEADERBOARD_PAGE_SIZE });
+  return { entries: page.top, nextCursor: page.nextCursor };
+});
+
+roundHud.setOnLoadProfile(async () => {
+  const [statsResponse, achievementsResponse] = await Promise.all([
+    fetch("/api/player/stats"),
+    fetch("/api/player/achievements"),
+  ]);
+  if (!statsResponse.ok) {
+    throw new Error(`Player stats fetch failed: ${statsResponse.status}`);
+  }
+  const profile = await statsResponse.json();
+
+  // The badge shelf still shows this session's unlocks if achievements fail.
+  const unlocked = new Set(sessionAchievements);
+  if (achievementsResponse.ok) {
+    const achievements = await achievementsResponse.json();
+    for (const entry of achievements.unlocked ?? []) unlocked.add(entry.id);
+  }
 
+  return {
+    stats: profile.stats ?? null,
+    loggedIn: !!profile.caller,
+    mode: gameMode.id,
+    scoreUnit: getScoreUnit(),
+    badges: ACHIEVEMENTS.map(({ id, name, description }) => ({
+      id,
+      name,
+      description,
+      unlocked: unlocked.has(id),
+    })),
+  };
+});
+
+roundHud.setOnLeaderboardPeriod((period) => {
+  leaderboardPeriod = period;
+  void refreshRoundEndLeaderboard();
+});
+
+// Who the server says we are (null = logged out, not ranked). Identity is never
+// sent by the client; the server reads it from the Devvit request context.
+let leaderboardCaller = null;
+
+// Which board the round-end card shows: "daily" | "weekly" | "all-time".
+let leaderboardPeriod = roundHud.leaderboardPeriod;
+
+// Last finished round, so switching leaderboard tabs can redraw the card.
+let lastRoundResult = null;
+
+async function submitRoundScore(score) {
   const response = await fetch("/api/leaderboard/submit", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({
-      userId,
       score,
-      limit: LEADERBOARD_LIMIT,
-      metadata: { username },
+      mode: gameMode.id,
+      period: leaderboardPeriod,
+      limit: leaderboardLimit,
+      round: {
+        roundId,
+        dayKey: roundChallenge.dayKey,
+        seed: roundChallenge.seed,
+        throws: throwLog,
+      },
     }),
   });
 
@@ -168,15 +395,16 @@ async function submitRoundScore(score) {
   return response.json();
 }
 
-async function fetchLeaderboard() {
-  const { userId } = getPlayerIdentity();
-
+async function fetchLeaderboard({ cursor, limit = leaderboardLimit, around } = {}) {
   const response = await fetch("/api/leaderboard/fetch", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({
-      userId,
-      limit: LEADERBOARD_LIMIT,
+      mode: gameMode.id,
+      period: leaderboardPeriod,
+      limit,
+      ...(cursor ? { cursor } : {}),
+      ...(around ? { around } : {}),
     }),
   });
 
@@ -184,48 +412,221 @@ async function fetchLeaderboard() {
     throw new Error(`Leaderboard fetch failed: ${response.status}`);
   }
 
+  const leaderboard = await response.json();
+  if (leaderboard && "caller" in leaderboard) {
+    leaderboardCaller = leaderboard.caller;
+  }
+  return leaderboard;
+}
+
+// Percentile + histogram for the round-end card; null if it can't be loaded.
+async function fetchScoreDistribution() {
+  try {
+    const response = await fetch("/api/leaderboard/distribution", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ mode: gameMode.id, period: leaderboardPeriod }),
+    });
+    if (!response.ok) {
+      throw new Error(`Score distribution fetch failed: ${response.status}`);
+    }
+    const distribution = await response.json();
+    return distribution?.type === "leaderboard-distribution" ? distribution : null;
+  } catch (error) {
+    console.warn("Failed to fetch score distribution", error);
+    return null;
+  }
+}
+
+// Cumulative standings across every post in the subreddit, shown as the
+// chalkboard's alternate view.
+async function fetchSubredditLeaderboard() {
+  const response = await fetch("/api/leaderboard/subreddit", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      mode: gameMode.id,
+      limit: leaderboardLimit,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Subreddit leaderboard fetch failed: ${response.status}`);
+  }
+
   return response.json();
 }
 
-async function finalizeRoundLeaderboard() {
+async function refreshSubredditLeaderboard() {
   try {
-    await submitRoundScore(totalScore);
+    const standings = await fetchSubredditLeaderboard();
+    if (standings && standings.type === "subreddit-leaderboard") {
+      if (typeof actionManager.setSubredditLeaderboardData === "function") {
+        actionManager.setSubredditLeaderboardData({
+          subredditName: standings.subredditName,
+          rank: standings.callerRank,
+          callerStats: standings.callerStats,
+          top: standings.top,
+          scoreUnit: getScoreUnit(),
+        });
+      }
+    }
   } catch (error) {
-    console.warn("Failed to submit leaderboard score", error);
+    console.warn("Failed to fetch subreddit leaderboard", error);
   }
+}
 
+// Last season's champions for this game mode, shown as another chalkboard view.
+async function refreshLastSeasonChampion() {
   try {
-    const leaderboard = await fetchLeaderboard();
+    const response = await fetch("/api/season");
+    if (!response.ok) {
+      throw new Error(`Season fetch failed: ${response.status}`);
+    }
+    const season = await response.json();
+    const lastSeason = season?.type === "season" ? season.lastSeason : null;
+    if (!lastSeason || typeof actionManager.setLastSeasonChampion !== "function") return;
+
+    actionManager.setLastSeasonChampion({
+      seasonId: lastSeason.seasonId,
+      champions: lastSeason.champions.filter((champion) => champion.mode === gameMode.id),
+      scoreUnit: getScoreUnit(),
+    });
+  } catch (error) {
+    console.warn("Failed to fetch last season", error);
+  }
+}
+
+// Achievements earned this session. Logged-out players only get these (the
+// server records unlocks for ranked players), so each toast fires once.
+const sessionAchievements = new Set();
+
+// Toasts replace each other, so space out several unlocks from one round.
+const ACHIEVEMENT_TOAST_SPACING_MS = 1300;
+
+function announceAchievements(ids) {
+  const fresh = ids.filter((id) => !sessionAchievements.has(id) && getAchievement(id));
+  fresh.forEach((id, i) => {
+    sessionAchievements.add(id);
+    setTimeout(() => {
+      roundHud.showToast(`🏅 ${getAchievement(id).name} unlocked!`);
+    }, (i + 1) * ACHIEVEMENT_TOAST_SPACING_MS);
+  });
+}
+
+function celebrateStreakMilestone(days) {
+  roundHud.showToast(`🔥 ${days} days in a row!`);
+  if (typeof actionManager.celebrateStreak === "function") {
+    actionManager.celebrateStreak(days, dartboard);
+  }
+}
+
+async function finalizeRoundLeaderboard(result) {
+  lastRoundResult = result;
+  const darts = throwHistory.slice();
+  const submittedRoundId = roundId;
+  let ranked = false;
+  sharableRound = null;
+  roundHud.setShareAvailable(false);
+
+  // Unfinished rounds (e.g. an X01 leg with no checkout) are not ranked.
+  if (result.completed) {
+    try {
+      const submitted = await submitRoundScore(result.score);
+      if (submitted && "streak" in submitted) {
+        roundHud.setStreak(submitted.streak);
+        if (submitted.streak?.milestone) celebrateStreakMilestone(submitted.streak.milestone);
+      }
+      if (submitted?.ranked) {
+        ranked = true;
+        announceAchievements(submitted.unlockedAchievements ?? []);
+        sharableRound = {
+          roundId: submittedRoundId,
+          mode: gameMode.id,
+          score: result.score,
+          darts: darts.map((dart) => dart.label),
+        };
+        roundHud.setShareAvailable(true);
+      }
+    } catch (error) {
+      console.warn("Failed to submit leaderboard score", error);
+    }
+  }
+
+  // Not recorded server-side: judge the round from throwHistory alone.
+  if (!ranked) {
+    announceAchievements(
+      evaluateAchievements({
+        mode: gameMode.id,
+        completed: result.completed,
+        score: result.score,
+        darts,
+      })
+    );
+  }
+
+  await refreshRoundEndLeaderboard({ announce: true });
+  void refreshSubredditLeaderboard();
+}
+
+async function refreshRoundEndLeaderboard({ announce = false } = {}) {
+  const result = lastRoundResult;
+  if (!result) return;
+
+  try {
+    const [leaderboard, distribution] = await Promise.all([
+      fetchLeaderboard({ around: LEADERBOARD_AROUND }),
+      fetchScoreDistribution(),
+    ]);
+    // Another round may have finished, or the tab changed, while we waited.
+    if (result !== lastRoundResult || leaderboard?.period !== leaderboardPeriod) return;
     if (leaderboard && leaderboard.type === "leaderboard-fetch") {
-      const payload = buildLeaderboardPayload(leaderboard, { includeScore: true });
+      const payload = buildLeaderboardPayload(leaderboard, {
+        score: result.completed ? result.score : null,
+      });
 
-      if (typeof actionManager.showLeaderboard === "function") {
+      if (announce && typeof actionManager.showLeaderboard === "function") {
         actionManager.showLeaderboard(payload);
       }
 
-      roundHud.showRoundEnd({ totalScore, leaderboard: payload });
+      roundHud.showRoundEnd({
+        totalScore: result.score,
+        scoreText: result.summaryText,
+        leaderboard: payload,
+        distribution,
+      });
     }
   } catch (error) {
     console.warn("Failed to fetch leaderboard", error);
   }
 }
 
-function buildLeaderboardPayload(leaderboard, { includeScore = false } = {}) {
-  const { username } = getPlayerIdentity();
+function buildLeaderboardPayload(leaderboard, { score = null } = {}) {
   const payload = {
     rank: leaderboard.callerRank,
     top: leaderboard.top,
-    username,
+    around: leaderboard.around ?? [],
+    nextCursor: leaderboard.nextCursor ?? null,
+    userId: leaderboardCaller?.userId ?? null,
+    username: leaderboardCaller?.username ?? null,
+    ranked: !!leaderboardCaller,
+    period: leaderboard.period ?? leaderboardPeriod,
+    scoreUnit: getScoreUnit(),
   };
 
-  if (includeScore) {
-    payload.score = totalScore;
+  if (typeof score === "number") {
+    payload.score = score;
   }
 
   return payload;
 }
 
 async function showIntroLeaderboard() {
+  // The intro board shows the post's mode, with its configured row count.
+  await bootstrapReady;
+  void refreshSubredditLeaderboard();
+  void refreshLastSeasonChampion();
+
   try {
     const leaderboard = await fetchLeaderboard();
     if (leaderboard && leaderboard.type === "leaderboard-fetch") {
@@ -255,15 +656,67 @@ scene.add(dartboard);
 
 let aimDisc = null;
 
+const bootstrapReady = loadBootstrap();
+
 // ✅ NEW (requested): hitGlow created once after board exists
 let hitGlow = null;
 
 // Hold the most recent scored throw glow data until the dart actually lands.
 let pendingHitGlow = null;
 
+// Second glow (different color) marking what to aim at in target-based modes
+// like Around-the-Clock. Independent of hitGlow so both can be visible.
+let targetGlow = null;
+
+function refreshTargetGlow() {
+  if (!targetGlow) return;
+
+  const target =
+    roundActive && typeof gameMode.getTarget === "function"
+      ? gameMode.getTarget()
+      : null;
+
+  try {
+    if (target === null) {
+      targetGlow.clear();
+    } else if (target === "BULL") {
+      targetGlow.setTarget({ bull: true });
+    } else {
+      const idx = DARTBOARD_NUMBERS.indexOf(target);
+      targetGlow.setTarget(idx >= 0 ? { wedgeIndex: idx } : null);
+    }
+  } catch (err) {
+    console.warn("targetGlow update failed", err);
+  }
+}
+
 // Apply hitGlow only AFTER the dart is snapped into its final landed pose.
+// Cricket also flashes its chalkboard scoreboard here, between throws, and
+// big visits are celebrated once their last dart is in.
 if (typeof actionManager.setOnDartLanded === "function") {
   actionManager.setOnDartLanded(() => {
+    if (
+      pendingVisitCelebration !== null &&
+      typeof actionManager.celebrateVisit === "function"
+    ) {
+      const total = pendingVisitCelebration;
+      pendingVisitCelebration = null;
+
+      const tierText = actionManager.celebrateVisit(total, dartboard);
+      if (tierText) roundHud.showToast(`${tierText} (${total})`);
+    }
+
+    if (
+      roundActive &&
+      typeof gameMode.getBoardState === "function" &&
+      typeof actionManager.showCricketBoard === "function"
+    ) {
+      actionManager.showCricketBoard(gameMode.getBoardState());
+    }
+
+    // Next target lights up once the previous dart has landed.
+    refreshTargetGlow();
+
     if (!pendingHitGlow) return;
     if (!hitGlow) return;
 
@@ -304,44 +757,26 @@ function getBoardFaceHitFromPointerEvent(ev) {
 // -----------------------------
 // GAMEPLAY: throw at a specific board-local XY
 // -----------------------------
-function throwDartAtBoardLocalXY(x, y) {
-  const localTarget = new THREE.Vector3(x, y, DART_TARGET_OFFSET);
+function throwDartAtBoardLocalXY(x, y, { z = DART_TARGET_OFFSET, bounceOut = false } = {}) {
+  const localTarget = new THREE.Vector3(x, y, z);
   const worldTarget = localTarget.clone();
   dartboard.localToWorld(worldTarget);
 
   const dart = createDart();
-  actionManager.throw(dart, dartboard, DART_TARGET_OFFSET, worldTarget);
+  actionManager.throw(dart, dartboard, DART_TARGET_OFFSET, worldTarget, { bounceOut });
 }
 
 // -----------------------------
-// SCORING: compute points + update HUD
+// SCORING: update HUD
 // -----------------------------
-function scoreHitAtBoardLocalXY(hitX, hitY) {
-  if (!dartboard || !dartboard.userData) {
-    return { points: 0, label: "MISS" };
-  }
-
-  const boardRadius = dartboard.userData.boardRadius;
-  const baseScoring = dartboard.userData.scoring;
-
-  if (!baseScoring) {
-    return { points: 0, label: "MISS" };
-  }
-
-  const scoringConfig = {
-    ...baseScoring,
-    boardRadius: boardRadius,
-  };
-
-  return scoreFromBoardXY(hitX, hitY, scoringConfig);
-}
-
 function registerThrowScore(scoreResult) {
   const pts = typeof scoreResult?.points === "number" ? scoreResult.points : 0;
   const lbl = typeof scoreResult?.label === "string" ? scoreResult.label : "MISS";
 
-  dartsThrown += 1;
-  totalScore += pts;
+  const outcome = gameMode.registerThrow(scoreResult);
+
+  visitThrows.push({ label: lbl, points: pts });
+  visitOver = isVisitOver(visitThrows.length, outcome);
 
   throwHistory.push({
     label: lbl,
@@ -349,14 +784,21 @@ function registerThrowScore(scoreResult) {
     ring: scoreResult?.ring,
     mult: scoreResult?.mult,
     wedge: scoreResult?.wedge,
+    bust: !!outcome.bust,
+    visitOver,
   });
 
+  // Only Classic and X01 score visits; a Cricket or Clock visit total is noise.
+  if (visitOver && !outcome.bust && gameMode.scoresVisits) {
+    pendingVisitCelebration = visitThrows.reduce((sum, t) => sum + t.points, 0);
+  }
+
   const lastText = formatHitForHud(scoreResult);
 
   roundHud.setState({
-    dartsThrown,
-    totalScore,
+    ...gameMode.getHudState(),
     lastText,
+    visitText: formatVisitText(visitThrows, !!outcome.bust),
   });
 
   // Queue the glow payload, but DO NOT render it yet.
@@ -391,10 +833,26 @@ function registerThrowScore(scoreResult) {
 
   roundHud.flashScore();
 
-  roundHud.showToast(lastText);
+  let toastText = lastText;
+  if (scoreResult?.collision === "deflected") {
+    toastText = `Deflected! ${lastText}`;
+  } else if (scoreResult?.collision === "robin-hood") {
+    toastText = "ROBIN HOOD! 🏹";
+  } else if (scoreResult?.wire) {
+    toastText = "Off the wire! BOUNCE OUT";
+  }
+
+  if (outcome.bust) {
+    toastText = `BUST! ${lastText}`;
+  } else if (outcome.hit && outcome.target !== null) {
+    toastText = `${lastText} · Next: ${outcome.target === "BULL" ? "Bull" : outcome.target}`;
+  } else if (outcome.closed) {
+    toastText = `${lastText} · ${outcome.closed === "BULL" ? "Bull" : outcome.closed} closed`;
+  }
+  roundHud.showToast(toastText);
 
-  // If the final dart was just thrown, end the round immediately.
-  if (dartsThrown >= MAX_DARTS_PER_ROUND) {
+  // If the mode says the round is over (last dart, checkout...), end it immediately.
+  if (outcome.roundOver) {
     endRound();
   }
 }
@@ -421,6 +879,11 @@ function onAimPointerDown(ev) {
   // Also clear any queued glow from a prior throw.
   pendingHitGlow = null;
 
+  // First dart of a new visit: pull the previous visit's darts from the board.
+  if (visitOver) {
+    startNewVisit();
+  }
+
   // Allow hold ANYWHERE (not just on the board).
   ev.preventDefault?.();
 
@@ -464,12 +927,31 @@ function onAimPointerUp(ev) {
   // Hide disc until the throw resolves
   aimDisc.setEnabled(false);
 
-  // Score immediately (the dart is being thrown exactly to that sampled location)
-  const scoreResult = scoreHitAtBoardLocalXY(shot.hitX, shot.hitY);
-  registerThrowScore(scoreResult);
+  throwLog.push({
+    centerX: shot.centerX,
+    centerY: shot.centerY,
+    radius: shot.radius,
+    holdTime: shot.holdTime,
+    releaseTime: shot.releaseTime,
+    hitX: shot.hitX,
+    hitY: shot.hitY,
+  });
+
+  // Darts already in the board can deflect this one, bounce it out, or catch it
+  // (Robin Hood); the spider wires can bounce it out too. Scoring uses wherever
+  // it finally ends up.
+  const landing = throwResolver.resolve(shot.hitX, shot.hitY);
+  registerThrowScore({
+    ...landing.scoreResult,
+    collision: landing.kind,
+    wire: landing.wire,
+  });
 
   // Throw the dart visually.
-  throwDartAtBoardLocalXY(shot.hitX, shot.hitY);
+  throwDartAtBoardLocalXY(landing.x, landing.y, {
+    z: landing.kind === "robin-hood" ? ROBIN_HOOD_Z : DART_TARGET_OFFSET,
+    bounceOut: landing.kind === "bounce-out",
+  });
 }
 
 function onAimPointerCancel(ev) {
@@ -517,7 +999,8 @@ startUI.button.addEventListener("click", () => {
   // Keep OrbitControls disabled during gameplay.
   controls.enabled = false;
 
-  // Start a fresh 10-dart round
+  // Start a fresh round in the mode picked on the start overlay
+  selectGameMode(modeLocked ? gameConfig.mode : (startUI.getSelectedMode() ?? gameConfig.mode));
   resetRound();
 
   // Enable aim disc if available
@@ -552,6 +1035,9 @@ function syncBoardToWall(anchor) {
   if (!hitGlow) {
     hitGlow = createHitGlow(dartboard, { opacity: 0.42, color: 0xffd34d });
   }
+  if (!targetGlow) {
+    targetGlow = createHitGlow(dartboard, { opacity: 0.28, color: 0x4dd2ff });
+  }
 
   // Compute a start camera pose relative to the placed dartboard
   startPose = computeStartCameraPose(dartboard, camera, {
@@ -576,9 +1062,9 @@ function syncBoardToWall(anchor) {
   if (!aimDisc) {
     aimDisc = createAimDisc(dartboard, {
       z: AIM_DISC_Z,
-      maxRadius: 0.75,
-      minRadius: 0.06,
-      shrinkTime: 1.25,
+      ...dailyChallenge.aim,
+      path: dailyChallenge.aimPath,
+      rng: roundRngs.hit,
     });
   }
 
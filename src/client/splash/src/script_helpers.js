@@ -1,5 +1,12 @@
 import * as THREE from "three";
 
+import { AIM_DISC_DEFAULTS, BASE_AIM_PATH } from "../../../shared/game/daily";
+import {
+  aimCenterAt,
+  discRadiusForHold,
+  sampleHitInDisc,
+} from "../../../shared/game/throws";
+
 // -----------------------------
 // CAMERA POSE (placeholder)
 // Computes a camera pose that faces the dartboard at an appropriate distance,
@@ -39,8 +46,15 @@ export function computeStartCameraPose(board, cameraRef, opts = {}) {
 
 // -----------------------------
 // START OVERLAY UI
+// opts.modes: [{ id, label }] — when provided, a "Mode" button cycles through them.
 // -----------------------------
-export function createStartOverlay() {
+export function createStartOverlay(opts = {}) {
+  const modes = Array.isArray(opts.modes) ? opts.modes : [];
+  let modeIndex = Math.max(
+    0,
+    modes.findIndex((m) => m.id === opts.initialMode)
+  );
+
   const startOverlay = document.createElement("div");
   startOverlay.id = "dd-start-overlay";
   startOverlay.style.position = "fixed";
@@ -100,7 +114,42 @@ export function createStartOverlay() {
     startBtn.style.background = "rgba(255,255,255,0.10)";
   });
 
+  // Mode picker: a plain button that cycles through the available modes.
+  const modeBtn = document.createElement("button");
+  modeBtn.type = "button";
+  modeBtn.style.cursor = "pointer";
+  modeBtn.style.padding = "12px 14px";
+  modeBtn.style.borderRadius = "12px";
+  modeBtn.style.border = "1px solid rgba(255,255,255,0.14)";
+  modeBtn.style.background = "rgba(0,0,0,0.25)";
+  modeBtn.style.color = "rgba(255,255,255,0.85)";
+  modeBtn.style.fontFamily =
+    "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+  modeBtn.style.fontSize = "14px";
+  modeBtn.style.fontWeight = "650";
+  modeBtn.style.letterSpacing = "0.2px";
+  modeBtn.style.display = modes.length > 1 ? "block" : "none";
+
+  // A post with its own config only plays its mode; the button just names it.
+  let modeLocked = false;
+
+  function renderMode() {
+    const mode = modes[modeIndex];
+    modeBtn.textContent = mode ? `Mode: ${mode.label}${modeLocked ? "" : " ▸"}` : "";
+    modeBtn.disabled = modeLocked;
+    modeBtn.style.cursor = modeLocked ? "default" : "pointer";
+  }
+
+  modeBtn.addEventListener("click", () => {
+    if (!modes.length || modeLocked) return;
+    modeIndex = (modeIndex + 1) % modes.length;
+    renderMode();
+  });
+
+  renderMode();
+
   startPanel.appendChild(startHint);
+  startPanel.appendChild(modeBtn);
   startPanel.appendChild(startBtn);
   startOverlay.appendChild(startPanel);
   document.body.appendChild(startOverlay);
@@ -113,31 +162,61 @@ export function createStartOverlay() {
     startOverlay.style.display = "none";
   }
 
+  function getSelectedMode() {
+    return modes[modeIndex]?.id ?? null;
+  }
+
+  function setSelectedMode(id) {
+    const index = modes.findIndex((m) => m.id === id);
+    if (index === -1) return;
+    modeIndex = index;
+    renderMode();
+  }
+
+  function setModeLocked(locked) {
+    modeLocked = !!locked;
+    renderMode();
+  }
+
+  function setHint(text) {
+    startHint.textContent = text || "Ready?";
+  }
+
   return {
     overlay: startOverlay,
     panel: startPanel,
     button: startBtn,
+    modeButton: modeBtn,
     show,
     hide,
+    getSelectedMode,
+    setSelectedMode,
+    setModeLocked,
+    setHint,
   };
 }
 
 // -----------------------------
 // AIM DISC (Stardew-style hold/shrink)
+// opts.path: { w1..w4, p1..p4 } Lissajous frequencies/phases (shared/game/daily.ts)
+// opts.rng:  () => [0, 1) used to sample the landing point (default Math.random)
 // -----------------------------
-function clamp01(t) {
-  return Math.max(0, Math.min(1, t));
-}
-
 export function createAimDisc(board, opts = {}) {
   const boardRadius =
     typeof board.userData.boardRadius === "number"
       ? board.userData.boardRadius
       : 2.05;
 
-  const maxRadius = typeof opts.maxRadius === "number" ? opts.maxRadius : 0.75;
-  const minRadius = typeof opts.minRadius === "number" ? opts.minRadius : 0.06;
-  const shrinkTime = typeof opts.shrinkTime === "number" ? opts.shrinkTime : 1.25;
+  const maxRadius =
+    typeof opts.maxRadius === "number" ? opts.maxRadius : AIM_DISC_DEFAULTS.maxRadius;
+  let minRadius =
+    typeof opts.minRadius === "number" ? opts.minRadius : AIM_DISC_DEFAULTS.minRadius;
+  let shrinkTime =
+    typeof opts.shrinkTime === "number" ? opts.shrinkTime : AIM_DISC_DEFAULTS.shrinkTime;
+  let speed = typeof opts.speed === "number" ? opts.speed : AIM_DISC_DEFAULTS.speed;
+
+  let path = { ...BASE_AIM_PATH, ...opts.path };
+  let rng = typeof opts.rng === "function" ? opts.rng : Math.random;
 
   const discZ = typeof opts.z === "number" ? opts.z : 0.34;
 
@@ -168,18 +247,12 @@ export function createAimDisc(board, opts = {}) {
     radius: maxRadius,
   };
 
-  function clampCenterForRadius(x, y, r) {
-    // Smaller margin allows the center to get closer to the rim,
-    // which makes double ring reachable during gameplay.
-    const margin = 0.02;
-
-    const limit = Math.max(0.001, boardRadius - r - margin);
-    const len = Math.hypot(x, y);
-    if (len > limit) {
-      const s = limit / len;
-      return { x: x * s, y: y * s };
-    }
-    return { x, y };
+  // The server rebuilds each dart's center from the same shared path, so the
+  // center must only ever come from aimCenterAt at the current clock.
+  function placeOnPath() {
+    const center = aimCenterAt(state.time, path, { speed, maxRadius }, boardRadius);
+    state.centerX = center.x;
+    state.centerY = center.y;
   }
 
   function setEnabled(enabled) {
@@ -207,15 +280,25 @@ export function createAimDisc(board, opts = {}) {
     mesh.scale.set(state.radius, state.radius, 1);
   }
 
+  // Swap in a new path / rng / tuning and restart the path clock, so a seeded
+  // round always starts the disc from the same spot.
+  function configure(next = {}) {
+    if (next.path) path = { ...path, ...next.path };
+    if (typeof next.rng === "function") rng = next.rng;
+    if (typeof next.speed === "number") speed = next.speed;
+    if (typeof next.shrinkTime === "number") shrinkTime = next.shrinkTime;
+    if (typeof next.minRadius === "number") minRadius = next.minRadius;
+    state.time = 0;
+    placeOnPath();
+  }
+
   function releaseAndSampleHit() {
     const finalRadius = state.radius;
+    const holdTime = state.holdTime;
+    const releaseTime = state.time;
 
     // Sample a landing point uniformly inside the circle.
-    const angle = Math.random() * Math.PI * 2;
-    const r = Math.sqrt(Math.random()) * finalRadius;
-
-    const hitX = state.centerX + Math.cos(angle) * r;
-    const hitY = state.centerY + Math.sin(angle) * r;
+    const { hitX, hitY } = sampleHitInDisc(rng, state.centerX, state.centerY, finalRadius);
 
     state.holding = false;
     state.holdTime = 0;
@@ -225,6 +308,8 @@ export function createAimDisc(board, opts = {}) {
       centerX: state.centerX,
       centerY: state.centerY,
       radius: finalRadius,
+      holdTime,
+      releaseTime,
       hitX,
       hitY,
     };
@@ -237,26 +322,10 @@ export function createAimDisc(board, opts = {}) {
 
     if (!state.holding) {
       state.radius = maxRadius;
-
-      const t = state.time;
-      const w1 = 0.85;
-      const w2 = 1.33;
-      const w3 = 0.73;
-      const w4 = 1.91;
-
-      // Increased base => disc center travels closer to rim (reach doubles)
-      const base = boardRadius * 0.82;
-
-      let x = base * (0.65 * Math.sin(t * w1) + 0.35 * Math.sin(t * w2 + 1.7));
-      let y = base * (0.65 * Math.cos(t * w3) + 0.35 * Math.sin(t * w4 + 0.9));
-
-      const clamped = clampCenterForRadius(x, y, maxRadius);
-      state.centerX = clamped.x;
-      state.centerY = clamped.y;
+      placeOnPath();
     } else {
       state.holdTime += delta;
-      const p = clamp01(state.holdTime / shrinkTime);
-      state.radius = maxRadius + (minRadius - maxRadius) * p;
+      state.radius = discRadiusForHold(state.holdTime, { maxRadius, minRadius, shrinkTime });
     }
 
     const bob = Math.sin(state.time * 1.8) * 0.01;
@@ -271,6 +340,7 @@ export function createAimDisc(board, opts = {}) {
     beginHold,
     cancelHold,
     releaseAndSampleHit,
+    configure,
     update,
   };
 }
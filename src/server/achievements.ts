@@ -0,0 +1,38 @@
+import type { UnlockedAchievement } from "../shared/types/api";
+import { getAchievement } from "../shared/game/achievements";
+
+type RedisLike = {
+  hGetAll: (key: string) => Promise<Record<string, string>>;
+  hSetNX: (key: string, field: string, value: string) => Promise<number>;
+};
+
+// achievement id -> unlock time (ms) per player.
+const achievementsKey = (userId: string): string => `player:${userId}:achievements`;
+
+/**
+ * Records the earned ids and returns the ones unlocked just now. HSETNX keeps
+ * the first unlock time and makes sure each toast fires once.
+ */
+export const unlockAchievements = async (
+  redis: RedisLike,
+  userId: string,
+  earned: string[],
+  now: Date = new Date()
+): Promise<string[]> => {
+  const key = achievementsKey(userId);
+  const results = await Promise.all(
+    earned.map((id) => redis.hSetNX(key, id, String(now.getTime())))
+  );
+  return earned.filter((_, i) => results[i] === 1);
+};
+
+export const getUnlockedAchievements = async (
+  redis: RedisLike,
+  userId: string
+): Promise<UnlockedAchievement[]> => {
+  const raw = await redis.hGetAll(achievementsKey(userId));
+  return Object.entries(raw)
+    .filter(([id]) => getAchievement(id))
+    .map(([id, unlockedAt]) => ({ id, unlockedAt: Number.parseInt(unlockedAt, 10) || 0 }))
+    .sort((a, b) => a.unlockedAt - b.unlockedAt);
+};
@@ -0,0 +1,86 @@
+import { reddit, redis } from '@devvit/web/server';
+
+export type WinnerFlairKind = 'daily' | 'season';
+
+// Who currently wears each award, so it can be taken back from them.
+const flairHolderKey = (kind: WinnerFlairKind): string => `flair:${kind}:holder`;
+
+// The flair each award holder wore before their first award, keyed by
+// username, so it can be put back once they hold neither award.
+const savedFlairKey = 'flair:saved';
+
+type SavedFlair = { text?: string; cssClass?: string };
+
+const otherKind = (kind: WinnerFlairKind): WinnerFlairKind => (kind === 'daily' ? 'season' : 'daily');
+
+const readUserFlair = async (subredditName: string, username: string): Promise<SavedFlair> => {
+  const user = await reddit.getUserByUsername(username);
+  const flair = await user?.getUserFlairBySubreddit(subredditName);
+  return {
+    ...(flair?.flairText ? { text: flair.flairText } : {}),
+    ...(flair?.flairCssClass ? { cssClass: flair.flairCssClass } : {}),
+  };
+};
+
+// Holders from before flairs were saved have nothing to restore and just lose
+// the award. Anyone who changed their flair since keeps what they picked.
+const restoreUserFlair = async (
+  subredditName: string,
+  username: string,
+  awardText: string
+): Promise<void> => {
+  const [saved, current] = await Promise.all([
+    redis.hGet(savedFlairKey, username),
+    readUserFlair(subredditName, username),
+  ]);
+
+  if (current.text === awardText) {
+    const flair = saved ? (JSON.parse(saved) as SavedFlair) : {};
+    if (flair.text || flair.cssClass) {
+      await reddit.setUserFlair({ subredditName, username, ...flair });
+    } else {
+      await reddit.removeUserFlair(subredditName, username);
+    }
+  }
+  await redis.hDel(savedFlairKey, [username]);
+};
+
+/**
+ * Gives `username` the award flair and takes it back from the previous holder.
+ * A player's own flair is saved before their first award and restored once
+ * they hold neither. Someone holding both awards wears the newer one and goes
+ * back to the other award's flair when they lose it.
+ */
+export const awardWinnerFlair = async (
+  subredditName: string,
+  kind: WinnerFlairKind,
+  username: string,
+  texts: Record<WinnerFlairKind, string>
+): Promise<void> => {
+  const [previous, otherHolder] = await Promise.all([
+    redis.get(flairHolderKey(kind)),
+    redis.get(flairHolderKey(otherKind(kind))),
+  ]);
+
+  if (previous && previous !== username) {
+    try {
+      if (previous === otherHolder) {
+        await reddit.setUserFlair({ subredditName, username: previous, text: texts[otherKind(kind)] });
+      } else {
+        await restoreUserFlair(subredditName, previous, texts[kind]);
+      }
+    } catch (error) {
+      // Deleted account or flair already changed by a moderator.
+      console.warn(`Could not take ${kind} winner flair back from ${previous}:`, error);
+    }
+  }
+
+  // Winning again, or winning the other award too: their own flair is saved already.
+  if (previous !== username && otherHolder !== username) {
+    const own = await readUserFlair(subredditName, username);
+    await redis.hSet(savedFlairKey, { [username]: JSON.stringify(own) });
+  }
+
+  await reddit.setUserFlair({ subredditName, username, text: texts[kind] });
+  await redis.set(flairHolderKey(kind), username);
+};
@@ -0,0 +1,98 @@
+import { context, reddit, redis } from '@devvit/web/server';
+
+export type ModAction = 'remove-entry' | 'ban' | 'unban' | 'reset-leaderboard' | 'export';
+
+export type ModAuditEntry = {
+  action: ModAction;
+  moderator: string;
+  postId: string | null;
+  /** The player acted on, if any. */
+  targetUsername: string | null;
+  targetUserId: string | null;
+  reason: string;
+  at: number;
+};
+
+// Newest entries win; anything older than this many actions is dropped.
+const AUDIT_LOG_LIMIT = 1000;
+const auditLogKey = 'moderation:audit';
+
+// Menu items open a form; the form submit doesn't say which post the menu was
+// opened on, so remember it per moderator for a few minutes.
+const PENDING_TARGET_TTL_MS = 10 * 60 * 1000;
+const pendingTargetKey = (moderatorId: string): string => `moderation:${moderatorId}:target`;
+
+export const rememberModTarget = async (postId: string): Promise<void> => {
+  const { userId } = context;
+  if (!userId) return;
+  await redis.set(pendingTargetKey(userId), postId, {
+    expiration: new Date(Date.now() + PENDING_TARGET_TTL_MS),
+  });
+};
+
+export const recallModTarget = async (): Promise<string | null> => {
+  const { userId, postId } = context;
+  if (postId) return postId;
+  if (!userId) return null;
+  return (await redis.get(pendingTargetKey(userId))) ?? null;
+};
+
+/** The moderator making this request, by username (for the audit log). */
+export const getModeratorName = async (): Promise<string> =>
+  (await reddit.getCurrentUsername()) ?? context.userId ?? 'unknown';
+
+/** Resolves a username typed into a form ("u/name" or "name") to a Reddit user. */
+export const findUserByName = async (
+  input: unknown
+): Promise<{ userId: string; username: string } | null> => {
+  if (typeof input !== 'string') return null;
+  const name = input.trim().replace(/^\/?u\//i, '');
+  if (!name) return null;
+
+  const user = await reddit.getUserByUsername(name);
+  return user ? { userId: user.id, username: user.username } : null;
+};
+
+export const recordModAction = async (
+  entry: Omit<ModAuditEntry, 'at' | 'moderator'>
+): Promise<ModAuditEntry> => {
+  const logged: ModAuditEntry = {
+    ...entry,
+    moderator: await getModeratorName(),
+    at: Date.now(),
+  };
+  await redis.zAdd(auditLogKey, { member: JSON.stringify(logged), score: logged.at });
+  await redis.zRemRangeByRank(auditLogKey, 0, -(AUDIT_LOG_LIMIT + 1));
+  console.log(`Moderator action: ${JSON.stringify(logged)}`);
+  return logged;
+};
+
+// WikiPagePermissionLevel.MODS_ONLY; the enum is only exported as a type.
+const WIKI_MODS_ONLY = 2;
+
+/**
+ * Writes (or overwrites) a moderators-only, unlisted wiki page and returns its
+ * URL. Used for exports too big for a toast or a message.
+ *
+ * The page is locked down before the content goes in: a new page starts as a
+ * placeholder, so if restricting it fails nothing private was ever public.
+ */
+export const writeModWikiPage = async (page: string, content: string, reason: string) => {
+  const { subredditName } = context;
+  if (!subredditName) throw new Error('subredditName is missing from context');
+
+  try {
+    await reddit.getWikiPage(subredditName, page);
+  } catch {
+    // getWikiPage fails for pages that don't exist yet.
+    await reddit.createWikiPage({ subredditName, page, content: '(export pending)', reason });
+  }
+  await reddit.updateWikiPageSettings({
+    subredditName,
+    page,
+    listed: false,
+    permLevel: WIKI_MODS_ONLY,
+  });
+  await reddit.updateWikiPage({ subredditName, page, content, reason });
+  return `https://www.reddit.com/r/${subredditName}/wiki/${page}`;
+};
@@ -0,0 +1,25 @@
+import { context, reddit } from '@devvit/web/server';
+
+export type Player = {
+  userId: string;
+  username: string;
+};
+
+/**
+ * The signed-in Reddit user making this request, straight from the Devvit
+ * server context. `null` for logged-out viewers.
+ */
+export const getCurrentPlayer = async (): Promise<Player | null> => {
+  const { userId } = context;
+  if (!userId) return null;
+
+  const username = await reddit.getCurrentUsername();
+  return { userId, username: username ?? userId };
+};
+
+/**
+ * Old clients sent their own userId. Accept it only if it is who the server
+ * says they are; anything else is a spoof attempt.
+ */
+export const isSpoofedUserId = (claimed: unknown, player: Player | null): boolean =>
+  claimed !== undefined && claimed !== player?.userId;
@@ -1,7 +1,75 @@
-import { reddit } from '@devvit/web/server';
+import { reddit, redis } from '@devvit/web/server';
+import { formatDayKey, utcDayKey } from '../daily';
+import { savePostConfig } from '../postConfig';
 
-export const createPost = async () => {
+export const DEFAULT_POST_TITLE = 'dailydarts2';
+
+export const createPost = async (title: string = DEFAULT_POST_TITLE) => {
   return await reddit.submitCustomPost({
-    title: 'dailydarts2',
+    title: title.trim() || DEFAULT_POST_TITLE,
   });
 };
+
+// One scheduled post per UTC day. The key holds a claim token while the post
+// is being created, then the post id.
+const dailyPostKey = (dayKey: string): string => `daily-post:${dayKey}`;
+const pinnedDailyPostKey = 'daily-post:pinned';
+const DAILY_POST_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+/** "Daily Darts · Mon, Oct 19, 2026" */
+export const dailyPostTitle = (dayKey: string): string => `Daily Darts · ${formatDayKey(dayKey)}`;
+
+/** The scheduled post for a day, if one was created. */
+export const getDailyPostId = async (dayKey: string): Promise<string | null> => {
+  const stored = await redis.get(dailyPostKey(dayKey));
+  return stored && !stored.startsWith('pending:') ? stored : null;
+};
+
+/**
+ * Creates today's post with a daily leaderboard, unless it already exists.
+ * With `pin`, the new post is stickied and the previous day's is unstickied.
+ * Returns the new post id, or null if today's post was already made.
+ */
+export const createDailyPost = async (
+  { pin }: { pin: boolean },
+  now: Date = new Date()
+): Promise<string | null> => {
+  const dayKey = utcDayKey(now);
+  const key = dailyPostKey(dayKey);
+  const token = `pending:${now.getTime()}:${Math.random()}`;
+
+  await redis.set(key, token, {
+    nx: true,
+    expiration: new Date(now.getTime() + DAILY_POST_TTL_MS),
+  });
+  if ((await redis.get(key)) !== token) return null;
+
+  let post;
+  try {
+    post = await createPost(dailyPostTitle(dayKey));
+  } catch (error) {
+    // Let the next run try again.
+    await redis.del(key);
+    throw error;
+  }
+
+  await redis.set(key, post.id, { expiration: new Date(now.getTime() + DAILY_POST_TTL_MS) });
+  // Everything but the leaderboard comes from the defaults (savePostConfig fills them in).
+  await savePostConfig(redis, post.id, { leaderboard: 'daily' });
+
+  if (pin) {
+    const previous = await redis.get(pinnedDailyPostKey);
+    if (previous && previous !== post.id) {
+      try {
+        await (await reddit.getPostById(previous as `t3_${string}`)).unsticky();
+      } catch (error) {
+        // Already unpinned or removed by a moderator; nothing to undo.
+        console.warn(`Could not unpin daily post ${previous}:`, error);
+      }
+    }
+    await post.sticky();
+    await redis.set(pinnedDailyPostKey, post.id);
+  }
+
+  return post.id;
+};
@@ -0,0 +1,79 @@
+import { settings } from '@devvit/web/server';
+import type { SeasonLength } from '../../shared/types/api';
+import { DEFAULT_LEADERBOARD_RETENTION, type LeaderboardRetention } from '../leaderboard';
+import { DEFAULT_SEASON_LENGTH, isSeasonLength } from '../seasons';
+
+const positiveOr = (value: unknown, fallback: number): number =>
+  typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : fallback;
+
+/** Moderator-configurable retention for daily/weekly boards (see devvit.json settings). */
+export const getLeaderboardRetention = async (): Promise<LeaderboardRetention> => {
+  const [dailyDays, weeklyWeeks] = await Promise.all([
+    settings.get<number>('dailyLeaderboardRetentionDays'),
+    settings.get<number>('weeklyLeaderboardRetentionWeeks'),
+  ]);
+
+  return {
+    dailyDays: positiveOr(dailyDays, DEFAULT_LEADERBOARD_RETENTION.dailyDays),
+    weeklyWeeks: positiveOr(weeklyWeeks, DEFAULT_LEADERBOARD_RETENTION.weeklyWeeks),
+  };
+};
+
+/** Season length from the app settings (select settings come back as a list). */
+export const getSeasonLength = async (): Promise<SeasonLength> => {
+  const value = await settings.get<string | string[]>('seasonLength');
+  const selected = Array.isArray(value) ? value[0] : value;
+  return isSeasonLength(selected) ? selected : DEFAULT_SEASON_LENGTH;
+};
+
+export type DailyPostSettings = {
+  enabled: boolean;
+  /** UTC hour (0-23) the scheduler creates the day's post at. */
+  hourUtc: number;
+  pin: boolean;
+};
+
+/** Scheduled daily post options (see devvit.json settings). */
+export const getDailyPostSettings = async (): Promise<DailyPostSettings> => {
+  const [enabled, hourUtc, pin] = await Promise.all([
+    settings.get<boolean>('dailyPostEnabled'),
+    settings.get<number>('dailyPostHourUtc'),
+    settings.get<boolean>('dailyPostPin'),
+  ]);
+
+  return {
+    enabled: enabled === true,
+    hourUtc:
+      typeof hourUtc === 'number' && Number.isInteger(hourUtc) && hourUtc >= 0 && hourUtc <= 23
+        ? hourUtc
+        : 0,
+    pin: pin !== false,
+  };
+};
+
+export type WinnerFlairSettings = {
+  enabled: boolean;
+  dailyText: string;
+  seasonText: string;
+};
+
+const DEFAULT_DAILY_WINNER_FLAIR = '🎯 Daily Darts Champ';
+const DEFAULT_SEASON_WINNER_FLAIR = '🏆 Daily Darts Season Champ';
+
+const textOr = (value: unknown, fallback: string): string =>
+  typeof value === 'string' && value.trim() ? value.trim() : fallback;
+
+/** Winner flair options (see devvit.json settings). */
+export const getWinnerFlairSettings = async (): Promise<WinnerFlairSettings> => {
+  const [enabled, dailyText, seasonText] = await Promise.all([
+    settings.get<boolean>('winnerFlairEnabled'),
+    settings.get<string>('dailyWinnerFlairText'),
+    settings.get<string>('seasonWinnerFlairText'),
+  ]);
+
+  return {
+    enabled: enabled === true,
+    dailyText: textOr(dailyText, DEFAULT_DAILY_WINNER_FLAIR),
+    seasonText: textOr(seasonText, DEFAULT_SEASON_WINNER_FLAIR),
+  };
+};
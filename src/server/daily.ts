@@ -0,0 +1,78 @@
+import type { DailyChallenge } from "../shared/types/api";
+
+type RedisLike = {
+  get: (key: string) => Promise<string | undefined>;
+  set: (
+    key: string,
+    value: string,
+    options?: { nx?: boolean; expiration?: Date }
+  ) => Promise<string>;
+};
+
+// Keep a few days around so late-night players on the previous day still match.
+const SEED_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+const dailySeedKey = (dayKey: string): string => `daily:${dayKey}:seed`;
+
+/** UTC calendar day, e.g. "2026-10-19". Everyone shares the same day boundary. */
+export const utcDayKey = (now: Date = new Date()): string => now.toISOString().slice(0, 10);
+
+const randomSeed = (): number => Math.floor(Math.random() * 0x1_0000_0000);
+
+/** "Mon, Oct 19, 2026" for "2026-10-19". */
+export const formatDayKey = (dayKey: string): string =>
+  new Date(`${dayKey}T12:00:00Z`).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+/** The day before `dayKey` ("2026-10-19" -> "2026-10-18"). */
+export const previousDayKey = (dayKey: string): string =>
+  utcDayKey(new Date(Date.parse(`${dayKey}T00:00:00Z`) - 24 * 60 * 60 * 1000));
+
+/**
+ * Look up an already-issued seed. Only today and yesterday are accepted, so a
+ * round started just before midnight (UTC) can still be submitted after it.
+ */
+export const findDailyChallenge = async (
+  redis: RedisLike,
+  dayKey: string,
+  now: Date = new Date()
+): Promise<DailyChallenge | null> => {
+  const today = utcDayKey(now);
+  if (dayKey !== today && dayKey !== previousDayKey(today)) return null;
+
+  const seed = Number.parseInt((await redis.get(dailySeedKey(dayKey))) ?? "", 10);
+  return Number.isFinite(seed) ? { dayKey, seed } : null;
+};
+
+/**
+ * The seed for a day is rolled once and stored, so it can't be predicted ahead
+ * of time. SET NX means concurrent first requests agree on a single winner.
+ */
+export const getDailyChallenge = async (
+  redis: RedisLike,
+  now: Date = new Date()
+): Promise<DailyChallenge> => {
+  const dayKey = utcDayKey(now);
+  const key = dailySeedKey(dayKey);
+
+  let stored = await redis.get(key);
+  if (!stored) {
+    await redis.set(key, String(randomSeed()), {
+      nx: true,
+      expiration: new Date(now.getTime() + SEED_TTL_MS),
+    });
+    stored = await redis.get(key);
+  }
+
+  const seed = Number.parseInt(stored ?? "", 10);
+  if (!Number.isFinite(seed)) {
+    throw new Error(`Daily seed for ${dayKey} is missing or corrupt`);
+  }
+
+  return { dayKey, seed };
+};
@@ -0,0 +1,150 @@
+import type { LeaderboardMode } from "../shared/types/api";
+import type { ScoreResult } from "../shared/game/scoring";
+import { GAME_MODES } from "../shared/game/modes";
+import { formatDayKey } from "./daily";
+import { isLowerBetterMode, type LeaderboardEntry } from "./leaderboard";
+
+type RedisLike = {
+  get: (key: string) => Promise<string | undefined>;
+  set: (
+    key: string,
+    value: string,
+    options?: { nx?: boolean; expiration?: Date }
+  ) => Promise<string>;
+  del: (...keys: string[]) => Promise<void>;
+  hGetAll: (key: string) => Promise<Record<string, string>>;
+  hSet: (key: string, fieldValues: Record<string, string>) => Promise<number>;
+  hIncrBy: (key: string, field: string, value: number) => Promise<number>;
+  expire: (key: string, seconds: number) => Promise<void>;
+};
+
+/** Fun numbers for a post's day, across every accepted round (ranked or not). */
+export type RecapStats = {
+  darts: number;
+  dbulls: number;
+  /** Longest run of scoring darts within one round, and who threw it. */
+  bestRun: number;
+  bestRunBy: string | null;
+};
+
+// Counted as rounds come in; kept a little longer than the daily boards'
+// default retention so a late recap still has them.
+const RECAP_STATS_TTL_SECONDS = 8 * 24 * 60 * 60;
+const RECAP_CLAIM_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const recapStatsKey = (postId: string, dayKey: string): string => `recap:${postId}:${dayKey}:stats`;
+const recapClaimKey = (postId: string, dayKey: string): string => `recap:${postId}:${dayKey}:comment`;
+
+export const RECAP_TOP_N = 10;
+
+const longestScoringRun = (darts: ScoreResult[]): number => {
+  let best = 0;
+  let run = 0;
+  for (const dart of darts) {
+    run = dart.points > 0 ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+  return best;
+};
+
+/** Folds one replayed round into its day's recap stats. */
+export const recordRecapRound = async (
+  redis: RedisLike,
+  postId: string,
+  dayKey: string,
+  darts: ScoreResult[],
+  username: string | null
+): Promise<void> => {
+  const key = recapStatsKey(postId, dayKey);
+  const dbulls = darts.filter((dart) => dart.ring === "DBULL").length;
+
+  await redis.hIncrBy(key, "darts", darts.length);
+  if (dbulls) await redis.hIncrBy(key, "dbulls", dbulls);
+
+  // Read-then-write: two record runs landing together can only lose a tie.
+  const run = longestScoringRun(darts);
+  const current = Number.parseInt((await redis.hGetAll(key)).bestRun ?? "", 10);
+  if (run > (Number.isFinite(current) ? current : 0)) {
+    await redis.hSet(key, { bestRun: String(run), bestRunBy: username ?? "" });
+  }
+
+  await redis.expire(key, RECAP_STATS_TTL_SECONDS);
+};
+
+export const getRecapStats = async (
+  redis: RedisLike,
+  postId: string,
+  dayKey: string
+): Promise<RecapStats> => {
+  const raw = await redis.hGetAll(recapStatsKey(postId, dayKey));
+  const int = (value: string | undefined): number => {
+    const n = Number.parseInt(value ?? "", 10);
+    return Number.isFinite(n) ? n : 0;
+  };
+  return {
+    darts: int(raw.darts),
+    dbulls: int(raw.dbulls),
+    bestRun: int(raw.bestRun),
+    bestRunBy: raw.bestRunBy || null,
+  };
+};
+
+/**
+ * Each post gets one recap per day. Returns false if it was already posted
+ * (or another run is posting it right now).
+ */
+export const claimRecap = async (
+  redis: RedisLike,
+  postId: string,
+  dayKey: string,
+  now: Date = new Date()
+): Promise<boolean> => {
+  const key = recapClaimKey(postId, dayKey);
+  const token = `${now.getTime()}-${Math.random()}`;
+  await redis.set(key, token, {
+    nx: true,
+    expiration: new Date(now.getTime() + RECAP_CLAIM_TTL_MS),
+  });
+  return (await redis.get(key)) === token;
+};
+
+/** Give the claim back when posting the comment failed, so it can be retried. */
+export const releaseRecap = async (redis: RedisLike, postId: string, dayKey: string): Promise<void> =>
+  redis.del(recapClaimKey(postId, dayKey));
+
+const playerLink = (username: string | null | undefined): string =>
+  username ? `u/${username}` : "anonymous";
+
+/** The recap comment body (Reddit markdown). */
+export const formatRecapComment = (
+  dayKey: string,
+  mode: LeaderboardMode,
+  top: LeaderboardEntry[],
+  stats: RecapStats
+): string => {
+  const modeLabel = GAME_MODES.find((m) => m.id === mode)?.label ?? mode;
+  const unit = isLowerBetterMode(mode) ? " darts" : "";
+  const lines = [`**Daily Darts recap · ${formatDayKey(dayKey)}** (${modeLabel})`, ""];
+
+  if (top.length) {
+    lines.push("| # | Player | Score |", "|--:|:--|--:|");
+    for (const entry of top.slice(0, RECAP_TOP_N)) {
+      lines.push(`| ${entry.rank} | ${playerLink(entry.metadata?.username)} | ${entry.score}${unit} |`);
+    }
+  } else {
+    lines.push("Nobody made the board that day.");
+  }
+
+  lines.push(
+    "",
+    `* 🎯 Darts thrown: ${stats.darts.toLocaleString("en-US")}`,
+    `* 🐂 Double bulls: ${stats.dbulls.toLocaleString("en-US")}`
+  );
+  if (stats.bestRun > 0) {
+    lines.push(
+      `* 🔥 Longest scoring streak: ${stats.bestRun} darts in a row by ${playerLink(stats.bestRunBy)}`
+    );
+  }
+
+  return lines.join("\n");
+};
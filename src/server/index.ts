@@ -1,16 +1,107 @@
 import express from 'express';
 import {
-  InitResponse,
-  IncrementResponse,
-  DecrementResponse,
+  BootstrapResponse,
+  GameConfig,
+  LeaderboardPeriod,
   LeaderboardSubmitRequest,
   LeaderboardSubmitResponse,
   LeaderboardFetchRequest,
   LeaderboardFetchResponse,
+  LeaderboardDistributionRequest,
+  LeaderboardDistributionResponse,
+  PlayerAchievementsResponse,
+  PlayerStatsResponse,
+  RoundShareRequest,
+  RoundShareResponse,
+  SeasonResponse,
+  SubredditLeaderboardRequest,
+  SubredditLeaderboardResponse,
 } from '../shared/types/api';
 import { redis, reddit, createServer, context, getServerPort } from '@devvit/web/server';
-import { createPost } from './core/post';
-import { fetchTopN, getRankForUser, upsertScore } from './leaderboard';
+import { createDailyPost, createPost, DEFAULT_POST_TITLE, getDailyPostId } from './core/post';
+import {
+  DEFAULT_DISTRIBUTION_BUCKETS,
+  DEFAULT_LEADERBOARD_LIMIT,
+  decodeLeaderboardCursor,
+  fetchAllEntries,
+  fetchAroundUser,
+  fetchLeaderboardPage,
+  fetchScoreDistribution,
+  fetchTopN,
+  getRankForUser,
+  isLeaderboardMode,
+  isLeaderboardPeriod,
+  LeaderboardBanError,
+  banFromLeaderboard,
+  recordAnonymousScore,
+  removeUserEntries,
+  resetPostLeaderboard,
+  unbanFromLeaderboard,
+  upsertScore,
+} from './leaderboard';
+import { getCurrentPlayer, isSpoofedUserId } from './core/player';
+import {
+  findUserByName,
+  getModeratorName,
+  recallModTarget,
+  recordModAction,
+  rememberModTarget,
+  writeModWikiPage,
+} from './core/moderation';
+import {
+  formatLeaderboardExport,
+  isLeaderboardExportFormat,
+  parsePostId,
+} from './leaderboardExport';
+import { DEFAULT_GAME_MODE, GAME_MODES } from '../shared/game/modes';
+import { DIFFICULTY_PRESETS } from '../shared/game/daily';
+import {
+  DEFAULT_GAME_CONFIG,
+  MAX_DARTS_PER_ROUND,
+  MIN_DARTS_PER_ROUND,
+  defaultLeaderboardPeriod,
+  postLeaderboardPeriods,
+} from '../shared/game/config';
+import {
+  getDailyPostSettings,
+  getLeaderboardRetention,
+  getSeasonLength,
+  getWinnerFlairSettings,
+} from './core/settings';
+import { awardWinnerFlair, type WinnerFlairKind } from './core/flair';
+import { getLastSeason, rollSeasonIfDue, seasonFor } from './seasons';
+import { findDailyChallenge, getDailyChallenge, previousDayKey, utcDayKey } from './daily';
+import {
+  claimRecap,
+  formatRecapComment,
+  getRecapStats,
+  RECAP_TOP_N,
+  recordRecapRound,
+  releaseRecap,
+} from './dailyRecap';
+import { claimRoundId, isRoundLog, replayThrowLog } from './throwLog';
+import { findPostConfig, getPostConfig, savePostConfig } from './postConfig';
+import {
+  claimRoundShare,
+  formatShareComment,
+  getRoundResult,
+  matchesRoundResult,
+  releaseRoundShare,
+  storeRoundResult,
+} from './roundShare';
+import { getPlayerStats, recordPlayerRound } from './playerStats';
+import { getStreak, recordStreakDay } from './streaks';
+import { getUnlockedAchievements, unlockAchievements } from './achievements';
+import { evaluateAchievements } from '../shared/game/achievements';
+import {
+  defaultSubredditMetric,
+  fetchSubredditTopN,
+  getSubredditRankForUser,
+  getSubredditStats,
+  hasTotalPoints,
+  isSubredditLeaderboardMetric,
+  recordSubredditResult,
+} from './subredditLeaderboard';
 
 const app = express();
 
@@ -23,13 +114,48 @@ app.use(express.text());
 
 const router = express.Router();
 
-router.get<{ postId: string }, InitResponse | { status: string; message: string }>(
-  '/api/init',
+// Winner flair is optional (app settings) and never fails the caller.
+const awardFlairQuietly = async (
+  kind: WinnerFlairKind,
+  username: string | undefined
+): Promise<void> => {
+  const { subredditName } = context;
+  if (!subredditName || !username) return;
+  try {
+    const { enabled, dailyText, seasonText } = await getWinnerFlairSettings();
+    if (!enabled) return;
+    await awardWinnerFlair(subredditName, kind, username, { daily: dailyText, season: seasonText });
+  } catch (error) {
+    console.error(`Error awarding ${kind} winner flair to ${username}:`, error);
+  }
+};
+
+// The scheduler rolls seasons over nightly; bootstrap also checks, so a missed job
+// only delays the rollover until someone opens the game. Never fatal.
+const rollSeasonQuietly = async (): Promise<void> => {
+  const { subredditName } = context;
+  if (!subredditName) return;
+  try {
+    const finished = await rollSeasonIfDue(redis, subredditName, await getSeasonLength());
+    if (finished) {
+      console.log(`Season ${finished.seasonId} ended in r/${subredditName}`);
+      const champion = finished.champions.find(
+        (entry) => entry.mode === DEFAULT_GAME_MODE && entry.rank === 1
+      );
+      await awardFlairQuietly('season', champion?.username);
+    }
+  } catch (error) {
+    console.error('Season rollover error:', error);
+  }
+};
+
+router.get<{ postId: string }, BootstrapResponse | { status: string; message: string }>(
+  '/api/bootstrap',
   async (_req, res): Promise<void> => {
     const { postId } = context;
 
     if (!postId) {
-      console.error('API Init Error: postId not found in devvit context');
+      console.error('API Bootstrap Error: postId not found in devvit context');
       res.status(400).json({
         status: 'error',
         message: 'postId is required but missing from context',
@@ -38,73 +164,280 @@ router.get<{ postId: string }, InitResponse | { status: string; message: string
     }
 
     try {
-      const [count, username] = await Promise.all([
-        redis.get('count'),
+      const { userId } = context;
+      const [storedConfig, username, daily, streak] = await Promise.all([
+        findPostConfig(redis, postId),
         reddit.getCurrentUsername(),
+        getDailyChallenge(redis),
+        userId ? getStreak(redis, userId) : Promise.resolve(null),
+        rollSeasonQuietly(),
       ]);
 
+      const config = storedConfig ?? { ...DEFAULT_GAME_CONFIG };
+
+      let best: BootstrapResponse['best'] = null;
+      let playedToday = false;
+      if (userId) {
+        const scope = { postId, mode: config.mode };
+        const [[onPostBoard], todayRank] = await Promise.all([
+          fetchAroundUser(
+            redis,
+            { ...scope, period: defaultLeaderboardPeriod(config.leaderboard) },
+            userId,
+            0
+          ),
+          getRankForUser(redis, { ...scope, period: 'daily' }, userId),
+        ]);
+        best = onPostBoard ? { score: onPostBoard.score, rank: onPostBoard.rank } : null;
+        playedToday = todayRank !== null;
+      }
+
       res.json({
-        type: 'init',
+        type: 'bootstrap',
         postId: postId,
-        count: count ? parseInt(count) : 0,
         username: username ?? 'anonymous',
+        config,
+        modeLocked: storedConfig !== null,
+        daily,
+        leaderboardLimit: DEFAULT_LEADERBOARD_LIMIT,
+        best,
+        playedToday,
+        streak,
       });
     } catch (error) {
-      console.error(`API Init Error for post ${postId}:`, error);
-      let errorMessage = 'Unknown error during initialization';
+      console.error(`API Bootstrap Error for post ${postId}:`, error);
+      let errorMessage = 'Unknown error during bootstrap';
       if (error instanceof Error) {
-        errorMessage = `Initialization failed: ${error.message}`;
+        errorMessage = `Bootstrap failed: ${error.message}`;
       }
       res.status(400).json({ status: 'error', message: errorMessage });
     }
   }
 );
 
-router.post<{ postId: string }, IncrementResponse | { status: string; message: string }, unknown>(
-  '/api/increment',
-  async (_req, res): Promise<void> => {
-    const { postId } = context;
-    if (!postId) {
+// Requests that don't name a board get the post's own. Daily-only posts keep
+// no weekly or all-time board, so those can't be read or written there.
+const resolvePostPeriod = (
+  requested: LeaderboardPeriod | undefined,
+  config: GameConfig
+): LeaderboardPeriod | null => {
+  const period = requested ?? defaultLeaderboardPeriod(config.leaderboard);
+  return postLeaderboardPeriods(config.leaderboard).includes(period) ? period : null;
+};
+
+router.post<
+  { postId: string },
+  LeaderboardSubmitResponse | { status: string; message: string },
+  LeaderboardSubmitRequest
+>('/api/leaderboard/submit', async (req, res): Promise<void> => {
+  const { postId } = context;
+  if (!postId) {
+    res.status(400).json({
+      status: 'error',
+      message: 'postId is required',
+    });
+    return;
+  }
+
+  const {
+    userId,
+    score,
+    mode = 'classic',
+    period: requestedPeriod,
+    limit,
+    metadata,
+    round,
+  } = req.body;
+  if (typeof score !== 'number' || Number.isNaN(score)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'score must be a number',
+    });
+    return;
+  }
+  if (!isLeaderboardMode(mode)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'mode is not a known game mode',
+    });
+    return;
+  }
+  if (requestedPeriod !== undefined && !isLeaderboardPeriod(requestedPeriod)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'period must be daily, weekly or all-time',
+    });
+    return;
+  }
+  if (!isRoundLog(round)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'round must include roundId, dayKey, seed and a throw log',
+    });
+    return;
+  }
+
+  const topLimit = Math.max(1, Math.min(limit ?? 10, 100));
+
+  try {
+    const storedConfig = await findPostConfig(redis, postId);
+    const config = storedConfig ?? { ...DEFAULT_GAME_CONFIG };
+    // A configured post is its own challenge: one mode, one set of boards.
+    if (storedConfig && mode !== storedConfig.mode) {
       res.status(400).json({
         status: 'error',
-        message: 'postId is required',
+        message: `this post only accepts ${storedConfig.mode} rounds`,
       });
       return;
     }
+    const period = resolvePostPeriod(requestedPeriod, config);
+    if (!period) {
+      res.status(400).json({
+        status: 'error',
+        message: 'this post only keeps a daily leaderboard',
+      });
+      return;
+    }
+    const scope = { postId, mode, period };
 
-    res.json({
-      count: await redis.incrBy('count', 1),
-      postId,
-      type: 'increment',
-    });
-  }
-);
+    const player = await getCurrentPlayer();
+    if (isSpoofedUserId(userId, player)) {
+      res.status(403).json({
+        status: 'error',
+        message: 'userId does not match the signed-in user',
+      });
+      return;
+    }
 
-router.post<{ postId: string }, DecrementResponse | { status: string; message: string }, unknown>(
-  '/api/decrement',
-  async (_req, res): Promise<void> => {
-    const { postId } = context;
-    if (!postId) {
+    const daily = await findDailyChallenge(redis, round.dayKey);
+    if (!daily || daily.seed !== round.seed) {
+      res.status(400).json({
+        status: 'error',
+        message: 'round was not played with a current daily seed',
+      });
+      return;
+    }
+
+    // Never trust the client's total: replay the throws and keep our own score.
+    const replay = replayThrowLog(round, mode, daily, config);
+    if (!replay.ok) {
+      console.warn(`Rejected throw log from ${player?.userId ?? 'anonymous'}: ${replay.reason}`);
+      res.status(400).json({
+        status: 'error',
+        message: `Invalid throw log: ${replay.reason}`,
+      });
+      return;
+    }
+    if (replay.score !== score) {
       res.status(400).json({
         status: 'error',
-        message: 'postId is required',
+        message: 'score does not match the throw log',
       });
       return;
     }
 
+    if (!(await claimRoundId(redis, postId, round.roundId))) {
+      res.status(409).json({
+        status: 'error',
+        message: 'round was already submitted',
+      });
+      return;
+    }
+
+    let streak: LeaderboardSubmitResponse['streak'] = null;
+    let unlockedAchievements: string[] = [];
+    if (player) {
+      // The username shown on the board is Reddit's, not whatever the client sent.
+      await upsertScore(
+        redis,
+        scope,
+        player.userId,
+        replay.score,
+        { ...metadata, username: player.username },
+        await getLeaderboardRetention(),
+        postLeaderboardPeriods(config.leaderboard)
+      );
+      await storeRoundResult(redis, postId, round.roundId, {
+        userId: player.userId,
+        mode,
+        score: replay.score,
+        darts: replay.darts.map((dart) => dart.label),
+      });
+      streak = await recordStreakDay(redis, player.userId, round.dayKey);
+      await recordPlayerRound(redis, player.userId, {
+        mode,
+        score: replay.score,
+        darts: replay.darts,
+      });
+      unlockedAchievements = await unlockAchievements(
+        redis,
+        player.userId,
+        evaluateAchievements({
+          mode,
+          completed: true,
+          score: replay.score,
+          darts: replay.darts,
+          stats: await getPlayerStats(redis, player.userId),
+          streak,
+        })
+      );
+      if (context.subredditName) {
+        await recordSubredditResult(
+          redis,
+          { subredditName: context.subredditName, mode },
+          {
+            userId: player.userId,
+            username: player.username,
+            postId,
+            dayKey: round.dayKey,
+            score: replay.score,
+          }
+        );
+      }
+    } else {
+      await recordAnonymousScore(redis, scope, round.roundId, replay.score);
+    }
+    await recordRecapRound(redis, postId, round.dayKey, replay.darts, player?.username ?? null);
+
+    const [top, callerRank] = await Promise.all([
+      fetchTopN(redis, scope, topLimit),
+      player ? getRankForUser(redis, scope, player.userId) : Promise.resolve(null),
+    ]);
+
     res.json({
-      count: await redis.incrBy('count', -1),
+      type: 'leaderboard-submit',
       postId,
-      type: 'decrement',
+      mode,
+      period,
+      score: replay.score,
+      ranked: !!player,
+      caller: player,
+      streak,
+      unlockedAchievements,
+      top,
+      callerRank,
+    });
+  } catch (error) {
+    if (error instanceof LeaderboardBanError) {
+      res.status(403).json({
+        status: 'error',
+        message: 'You have been banned from this leaderboard by the moderators',
+      });
+      return;
+    }
+    console.error('Leaderboard submit error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to submit leaderboard score',
     });
   }
-);
+});
 
 router.post<
   { postId: string },
-  LeaderboardSubmitResponse | { status: string; message: string },
-  LeaderboardSubmitRequest
->('/api/leaderboard/submit', async (req, res): Promise<void> => {
+  LeaderboardFetchResponse | { status: string; message: string },
+  LeaderboardFetchRequest
+>('/api/leaderboard/fetch', async (req, res): Promise<void> => {
   const { postId } = context;
   if (!postId) {
     res.status(400).json({
@@ -114,51 +447,101 @@ router.post<
     return;
   }
 
-  const { userId, score, limit, metadata } = req.body;
-  if (!userId?.trim()) {
+  const {
+    userId,
+    mode = 'classic',
+    period: requestedPeriod,
+    limit,
+    cursor,
+    around,
+  } = req.body;
+  if (!isLeaderboardMode(mode)) {
     res.status(400).json({
       status: 'error',
-      message: 'userId is required',
+      message: 'mode is not a known game mode',
     });
     return;
   }
-  if (typeof score !== 'number' || Number.isNaN(score)) {
+  if (requestedPeriod !== undefined && !isLeaderboardPeriod(requestedPeriod)) {
     res.status(400).json({
       status: 'error',
-      message: 'score must be a number',
+      message: 'period must be daily, weekly or all-time',
+    });
+    return;
+  }
+
+  const offset = cursor === undefined ? 0 : decodeLeaderboardCursor(cursor);
+  if (offset === null) {
+    res.status(400).json({
+      status: 'error',
+      message: 'cursor is not a valid leaderboard cursor',
+    });
+    return;
+  }
+  if (around !== undefined && (!Number.isInteger(around) || around < 0)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'around must be a non-negative integer',
     });
     return;
   }
 
   const topLimit = Math.max(1, Math.min(limit ?? 10, 100));
+  const aroundRadius = Math.min(around ?? 0, 25);
 
   try {
-    await upsertScore(redis, postId, userId, score, metadata);
-    const [top, callerRank] = await Promise.all([
-      fetchTopN(redis, postId, topLimit),
-      getRankForUser(redis, postId, userId),
-    ]);
+    const config = await getPostConfig(redis, postId);
+    const period = resolvePostPeriod(requestedPeriod, config);
+    if (!period) {
+      res.status(400).json({
+        status: 'error',
+        message: 'this post only keeps a daily leaderboard',
+      });
+      return;
+    }
+    const scope = { postId, mode, period };
 
+    const player = await getCurrentPlayer();
+    if (isSpoofedUserId(userId, player)) {
+      res.status(403).json({
+        status: 'error',
+        message: 'userId does not match the signed-in user',
+      });
+      return;
+    }
+
+    const [page, callerRank, aroundEntries] = await Promise.all([
+      fetchLeaderboardPage(redis, scope, offset, topLimit),
+      player ? getRankForUser(redis, scope, player.userId) : Promise.resolve(null),
+      player && aroundRadius > 0
+        ? fetchAroundUser(redis, scope, player.userId, aroundRadius)
+        : Promise.resolve([]),
+    ]);
     res.json({
-      type: 'leaderboard-submit',
+      type: 'leaderboard-fetch',
       postId,
-      top,
+      mode,
+      period,
+      caller: player,
+      top: page.entries,
       callerRank,
+      nextCursor: page.nextCursor,
+      around: aroundEntries,
     });
   } catch (error) {
-    console.error('Leaderboard submit error:', error);
+    console.error('Leaderboard fetch error:', error);
     res.status(400).json({
       status: 'error',
-      message: 'Failed to submit leaderboard score',
+      message: 'Failed to fetch leaderboard',
     });
   }
 });
 
 router.post<
   { postId: string },
-  LeaderboardFetchResponse | { status: string; message: string },
-  LeaderboardFetchRequest
->('/api/leaderboard/fetch', async (req, res): Promise<void> => {
+  RoundShareResponse | { status: string; message: string },
+  RoundShareRequest
+>('/api/round/share', async (req, res): Promise<void> => {
   const { postId } = context;
   if (!postId) {
     res.status(400).json({
@@ -168,33 +551,283 @@ router.post<
     return;
   }
 
-  const { userId, limit } = req.body;
-  if (!userId?.trim()) {
+  const { roundId, period: requestedPeriod } = req.body;
+  if (typeof roundId !== 'string' || !roundId) {
     res.status(400).json({
       status: 'error',
-      message: 'userId is required',
+      message: 'roundId is required',
+    });
+    return;
+  }
+  if (requestedPeriod !== undefined && !isLeaderboardPeriod(requestedPeriod)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'period must be daily, weekly or all-time',
+    });
+    return;
+  }
+
+  try {
+    const player = await getCurrentPlayer();
+    if (!player) {
+      res.status(401).json({
+        status: 'error',
+        message: 'Log in to Reddit to share your score',
+      });
+      return;
+    }
+
+    // Only what the server replayed and stored can be shared.
+    const stored = await getRoundResult(redis, postId, roundId);
+    if (!stored || stored.userId !== player.userId) {
+      res.status(404).json({
+        status: 'error',
+        message: 'round not found',
+      });
+      return;
+    }
+    if (!matchesRoundResult(stored, req.body)) {
+      res.status(400).json({
+        status: 'error',
+        message: 'round does not match the submitted result',
+      });
+      return;
+    }
+
+    const config = await getPostConfig(redis, postId);
+    const period = resolvePostPeriod(requestedPeriod, config);
+    if (!period) {
+      res.status(400).json({
+        status: 'error',
+        message: 'this post only keeps a daily leaderboard',
+      });
+      return;
+    }
+
+    if (!(await claimRoundShare(redis, postId, roundId))) {
+      res.status(409).json({
+        status: 'error',
+        message: 'round was already shared',
+      });
+      return;
+    }
+
+    try {
+      const rank = await getRankForUser(redis, { postId, mode: stored.mode, period }, player.userId);
+      const comment = await reddit.submitComment({
+        id: postId as `t3_${string}`,
+        text: formatShareComment(stored, rank, period),
+        runAs: 'USER',
+      });
+      res.json({
+        type: 'round-share',
+        commentId: comment.id,
+        rank,
+      });
+    } catch (error) {
+      await releaseRoundShare(redis, postId, roundId);
+      throw error;
+    }
+  } catch (error) {
+    console.error('Round share error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to share round',
+    });
+  }
+});
+
+router.get<{ postId: string }, PlayerStatsResponse | { status: string; message: string }>(
+  '/api/player/stats',
+  async (_req, res): Promise<void> => {
+    try {
+      const player = await getCurrentPlayer();
+      const stats = player ? await getPlayerStats(redis, player.userId) : null;
+      res.json({
+        type: 'player-stats',
+        caller: player,
+        stats,
+      });
+    } catch (error) {
+      console.error('Player stats error:', error);
+      res.status(400).json({
+        status: 'error',
+        message: 'Failed to fetch player stats',
+      });
+    }
+  }
+);
+
+router.get<{ postId: string }, PlayerAchievementsResponse | { status: string; message: string }>(
+  '/api/player/achievements',
+  async (_req, res): Promise<void> => {
+    try {
+      const player = await getCurrentPlayer();
+      const unlocked = player ? await getUnlockedAchievements(redis, player.userId) : [];
+      res.json({
+        type: 'player-achievements',
+        caller: player,
+        unlocked,
+      });
+    } catch (error) {
+      console.error('Player achievements error:', error);
+      res.status(400).json({
+        status: 'error',
+        message: 'Failed to fetch achievements',
+      });
+    }
+  }
+);
+
+router.get<{ postId: string }, SeasonResponse | { status: string; message: string }>(
+  '/api/season',
+  async (_req, res): Promise<void> => {
+    try {
+      const [length, lastSeason] = await Promise.all([getSeasonLength(), getLastSeason(redis)]);
+      res.json({
+        type: 'season',
+        current: seasonFor(length),
+        lastSeason,
+      });
+    } catch (error) {
+      console.error('Season error:', error);
+      res.status(400).json({
+        status: 'error',
+        message: 'Failed to fetch season',
+      });
+    }
+  }
+);
+
+router.post<
+  { postId: string },
+  LeaderboardDistributionResponse | { status: string; message: string },
+  LeaderboardDistributionRequest
+>('/api/leaderboard/distribution', async (req, res): Promise<void> => {
+  const { postId } = context;
+  if (!postId) {
+    res.status(400).json({
+      status: 'error',
+      message: 'postId is required',
+    });
+    return;
+  }
+
+  const { mode = 'classic', period: requestedPeriod, buckets } = req.body;
+  if (!isLeaderboardMode(mode)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'mode is not a known game mode',
+    });
+    return;
+  }
+  if (requestedPeriod !== undefined && !isLeaderboardPeriod(requestedPeriod)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'period must be daily, weekly or all-time',
+    });
+    return;
+  }
+
+  const bucketCount = Math.max(1, Math.min(buckets ?? DEFAULT_DISTRIBUTION_BUCKETS, 30));
+
+  try {
+    const config = await getPostConfig(redis, postId);
+    const period = resolvePostPeriod(requestedPeriod, config);
+    if (!period) {
+      res.status(400).json({
+        status: 'error',
+        message: 'this post only keeps a daily leaderboard',
+      });
+      return;
+    }
+
+    const player = await getCurrentPlayer();
+    const distribution = await fetchScoreDistribution(
+      redis,
+      { postId, mode, period },
+      player?.userId ?? null,
+      bucketCount
+    );
+    res.json({
+      type: 'leaderboard-distribution',
+      postId,
+      mode,
+      period,
+      ...distribution,
+    });
+  } catch (error) {
+    console.error('Leaderboard distribution error:', error);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to fetch score distribution',
+    });
+  }
+});
+
+router.post<
+  { postId: string },
+  SubredditLeaderboardResponse | { status: string; message: string },
+  SubredditLeaderboardRequest
+>('/api/leaderboard/subreddit', async (req, res): Promise<void> => {
+  const { subredditName } = context;
+  if (!subredditName) {
+    res.status(400).json({
+      status: 'error',
+      message: 'subredditName is required',
+    });
+    return;
+  }
+
+  const { mode = 'classic', limit } = req.body;
+  if (!isLeaderboardMode(mode)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'mode is not a known game mode',
+    });
+    return;
+  }
+  const { metric = defaultSubredditMetric(mode) } = req.body;
+  if (!isSubredditLeaderboardMetric(metric)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'metric must be total, best or days',
+    });
+    return;
+  }
+  if (metric === 'total' && !hasTotalPoints(mode)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'total points are only kept for modes ranked by points',
     });
     return;
   }
 
   const topLimit = Math.max(1, Math.min(limit ?? 10, 100));
+  const scope = { subredditName, mode };
 
   try {
-    const [top, callerRank] = await Promise.all([
-      fetchTopN(redis, postId, topLimit),
-      getRankForUser(redis, postId, userId),
+    const player = await getCurrentPlayer();
+    const [top, callerRank, callerStats] = await Promise.all([
+      fetchSubredditTopN(redis, scope, metric, topLimit),
+      player ? getSubredditRankForUser(redis, scope, metric, player.userId) : null,
+      player ? getSubredditStats(redis, scope, player.userId) : null,
     ]);
     res.json({
-      type: 'leaderboard-fetch',
-      postId,
+      type: 'subreddit-leaderboard',
+      subredditName,
+      mode,
+      metric,
+      caller: player,
       top,
       callerRank,
+      callerStats,
     });
   } catch (error) {
-    console.error('Leaderboard fetch error:', error);
+    console.error('Subreddit leaderboard error:', error);
     res.status(400).json({
       status: 'error',
-      message: 'Failed to fetch leaderboard',
+      message: 'Failed to fetch subreddit leaderboard',
     });
   }
 });
@@ -202,6 +835,7 @@ router.post<
 router.post('/internal/on-app-install', async (_req, res): Promise<void> => {
   try {
     const post = await createPost();
+    await savePostConfig(redis, post.id, DEFAULT_GAME_CONFIG);
 
     res.json({
       status: 'success',
@@ -216,13 +850,183 @@ router.post('/internal/on-app-install', async (_req, res): Promise<void> => {
   }
 });
 
-router.post('/internal/menu/post-create', async (_req, res): Promise<void> => {
+// Runs hourly; only the configured hour creates a post. `?force=true` skips the
+// enabled/hour checks so the job can be triggered by hand when testing.
+router.post('/internal/scheduler/daily-post', async (req, res): Promise<void> => {
+  const force = req.query.force === 'true';
   try {
-    const post = await createPost();
+    const { enabled, hourUtc, pin } = await getDailyPostSettings();
+    if (!force && (!enabled || new Date().getUTCHours() !== hourUtc)) {
+      res.json({ status: 'skipped' });
+      return;
+    }
+
+    const postId = await createDailyPost({ pin });
+    res.json({
+      status: 'success',
+      message: postId ? `Created daily post ${postId}` : "Today's post already exists",
+    });
+  } catch (error) {
+    console.error(`Error creating daily post: ${error}`);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to create daily post',
+    });
+  }
+});
+
+// Comments the day's final standings on a post, once per post and day.
+// Returns false if that recap was already posted.
+const postDailyRecap = async (postId: string, dayKey: string): Promise<boolean> => {
+  if (!(await claimRecap(redis, postId, dayKey))) return false;
+
+  try {
+    const { mode } = await getPostConfig(redis, postId);
+    const at = new Date(`${dayKey}T12:00:00Z`);
+    const [top, stats] = await Promise.all([
+      fetchTopN(redis, { postId, mode, period: 'daily', at }, RECAP_TOP_N),
+      getRecapStats(redis, postId, dayKey),
+    ]);
+    await reddit.submitComment({
+      id: postId as `t3_${string}`,
+      text: formatRecapComment(dayKey, mode, top, stats),
+      runAs: 'APP',
+    });
+    return true;
+  } catch (error) {
+    await releaseRecap(redis, postId, dayKey);
+    throw error;
+  }
+};
+
+// After midnight UTC: recap yesterday's scheduled daily post, if there was one.
+router.post('/internal/scheduler/daily-recap', async (_req, res): Promise<void> => {
+  const dayKey = previousDayKey(utcDayKey());
+  try {
+    const postId = await getDailyPostId(dayKey);
+    if (!postId) {
+      res.json({ status: 'skipped', message: `No daily post for ${dayKey}` });
+      return;
+    }
+
+    const posted = await postDailyRecap(postId, dayKey);
+
+    // The day's board is closed: crown its winner.
+    const { mode } = await getPostConfig(redis, postId);
+    const at = new Date(`${dayKey}T12:00:00Z`);
+    const [winner] = await fetchTopN(redis, { postId, mode, period: 'daily', at }, 1);
+    await awardFlairQuietly('daily', winner?.metadata?.username);
 
     res.json({
-      navigateTo: `https://reddit.com/r/${context.subredditName}/comments/${post.id}`,
+      status: 'success',
+      message: posted ? `Posted recap for ${dayKey}` : `Recap for ${dayKey} was already posted`,
     });
+  } catch (error) {
+    console.error(`Error posting daily recap: ${error}`);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to post daily recap',
+    });
+  }
+});
+
+router.post('/internal/scheduler/season-rollover', async (_req, res): Promise<void> => {
+  await rollSeasonQuietly();
+  res.json({ status: 'success' });
+});
+
+// Select fields submit string arrays.
+const formSelection = (value: unknown): unknown => (Array.isArray(value) ? value[0] : value);
+
+router.post('/internal/menu/post-create', async (_req, res): Promise<void> => {
+  res.json({
+    showForm: {
+      name: 'postCreate',
+      form: {
+        title: 'Create a Daily Darts post',
+        description: 'Every player on the post gets the same settings.',
+        acceptLabel: 'Create',
+        fields: [
+          {
+            type: 'string',
+            name: 'title',
+            label: 'Post title',
+            defaultValue: DEFAULT_POST_TITLE,
+            required: true,
+          },
+          {
+            type: 'select',
+            name: 'mode',
+            label: 'Game mode',
+            options: GAME_MODES.map(({ id, label }) => ({ label, value: id })),
+            defaultValue: [DEFAULT_GAME_CONFIG.mode],
+          },
+          {
+            type: 'number',
+            name: 'dartsPerRound',
+            label: `Darts per round (${MIN_DARTS_PER_ROUND}-${MAX_DARTS_PER_ROUND})`,
+            helpText: 'Only Classic rounds have a fixed length.',
+            defaultValue: DEFAULT_GAME_CONFIG.dartsPerRound,
+          },
+          {
+            type: 'select',
+            name: 'difficulty',
+            label: 'Difficulty',
+            options: Object.entries(DIFFICULTY_PRESETS).map(([value, { label }]) => ({
+              label,
+              value,
+            })),
+            defaultValue: [DEFAULT_GAME_CONFIG.difficulty],
+          },
+          {
+            type: 'boolean',
+            name: 'wireBounceOuts',
+            label: 'Wire bounce-outs',
+            helpText: 'Darts that catch a wire can bounce out and score nothing.',
+            defaultValue: DEFAULT_GAME_CONFIG.wireBounceOuts,
+          },
+          {
+            type: 'select',
+            name: 'leaderboard',
+            label: 'Leaderboard',
+            options: [
+              { label: 'Daily only (resets every UTC day)', value: 'daily' },
+              { label: 'Permanent (daily, weekly and all-time)', value: 'permanent' },
+            ],
+            defaultValue: [DEFAULT_GAME_CONFIG.leaderboard],
+          },
+        ],
+      },
+    },
+  });
+});
+
+router.post('/internal/form/post-create', async (req, res): Promise<void> => {
+  try {
+    const title = typeof req.body.title === 'string' ? req.body.title : DEFAULT_POST_TITLE;
+    const post = await createPost(title);
+    const navigateTo = `https://reddit.com/r/${context.subredditName}/comments/${post.id}`;
+
+    // The post is already live at this point, so a failed write still sends the
+    // moderator there; without a stored config it plays the defaults.
+    try {
+      await savePostConfig(redis, post.id, {
+        mode: formSelection(req.body.mode),
+        dartsPerRound: req.body.dartsPerRound,
+        difficulty: formSelection(req.body.difficulty),
+        wireBounceOuts: req.body.wireBounceOuts,
+        leaderboard: formSelection(req.body.leaderboard),
+      });
+    } catch (error) {
+      console.error(`Error saving config for new post ${post.id}: ${error}`);
+      res.json({
+        navigateTo,
+        showToast: 'Post created, but its settings could not be saved. It plays with the default settings.',
+      });
+      return;
+    }
+
+    res.json({ navigateTo });
   } catch (error) {
     console.error(`Error creating post: ${error}`);
     res.status(400).json({
@@ -232,6 +1036,351 @@ router.post('/internal/menu/post-create', async (_req, res): Promise<void> => {
   }
 });
 
+// -------------------------
+// Moderator tools: each menu item opens a form (see "forms" in devvit.json);
+// the form submit does the work and writes the audit log.
+// -------------------------
+
+const reasonField = {
+  type: 'string',
+  name: 'reason',
+  label: 'Reason (for the audit log)',
+} as const;
+
+router.post('/internal/menu/leaderboard-remove', async (req, res): Promise<void> => {
+  await rememberModTarget(req.body.targetId);
+  res.json({
+    showForm: {
+      name: 'leaderboardRemove',
+      form: {
+        title: "Remove a player's leaderboard entry",
+        acceptLabel: 'Remove',
+        fields: [
+          { type: 'string', name: 'username', label: 'Username', required: true },
+          reasonField,
+        ],
+      },
+    },
+  });
+});
+
+router.post('/internal/menu/leaderboard-ban', async (req, res): Promise<void> => {
+  await rememberModTarget(req.body.targetId);
+  res.json({
+    showForm: {
+      name: 'leaderboardBan',
+      form: {
+        title: 'Ban a player from the leaderboard',
+        description: 'Banned players can still play, but their scores are never ranked.',
+        acceptLabel: 'Save',
+        fields: [
+          { type: 'string', name: 'username', label: 'Username', required: true },
+          {
+            type: 'boolean',
+            name: 'unban',
+            label: 'Lift an existing ban instead',
+            defaultValue: false,
+          },
+          reasonField,
+        ],
+      },
+    },
+  });
+});
+
+router.post('/internal/menu/leaderboard-reset', async (req, res): Promise<void> => {
+  await rememberModTarget(req.body.targetId);
+  res.json({
+    showForm: {
+      name: 'leaderboardReset',
+      form: {
+        title: "Reset this post's leaderboard",
+        description: 'Clears every mode and period on this post. This cannot be undone.',
+        acceptLabel: 'Reset',
+        fields: [
+          {
+            type: 'boolean',
+            name: 'confirm',
+            label: 'Yes, wipe all scores on this post',
+            defaultValue: false,
+          },
+          reasonField,
+        ],
+      },
+    },
+  });
+});
+
+const formReason = (value: unknown): string => (typeof value === 'string' ? value.trim() : '');
+
+router.post('/internal/form/leaderboard-remove', async (req, res): Promise<void> => {
+  try {
+    const [postId, user] = await Promise.all([recallModTarget(), findUserByName(req.body.username)]);
+    if (!postId) {
+      res.json({ showToast: 'Open this from the post menu of a Daily Darts post' });
+      return;
+    }
+    if (!user) {
+      res.json({ showToast: `No Reddit user named ${req.body.username}` });
+      return;
+    }
+
+    const removed = await removeUserEntries(redis, postId, user.userId);
+    await recordModAction({
+      action: 'remove-entry',
+      postId,
+      targetUsername: user.username,
+      targetUserId: user.userId,
+      reason: formReason(req.body.reason),
+    });
+    res.json({
+      showToast: removed
+        ? `Removed u/${user.username} from this leaderboard`
+        : `u/${user.username} had no entries on this leaderboard`,
+    });
+  } catch (error) {
+    console.error(`Error removing leaderboard entry: ${error}`);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to remove leaderboard entry',
+    });
+  }
+});
+
+router.post('/internal/form/leaderboard-ban', async (req, res): Promise<void> => {
+  try {
+    const [postId, user] = await Promise.all([recallModTarget(), findUserByName(req.body.username)]);
+    if (!user) {
+      res.json({ showToast: `No Reddit user named ${req.body.username}` });
+      return;
+    }
+    const reason = formReason(req.body.reason);
+
+    if (req.body.unban === true) {
+      const lifted = await unbanFromLeaderboard(redis, user.userId);
+      await recordModAction({
+        action: 'unban',
+        postId,
+        targetUsername: user.username,
+        targetUserId: user.userId,
+        reason,
+      });
+      res.json({
+        showToast: lifted
+          ? `u/${user.username} can be ranked again`
+          : `u/${user.username} was not banned`,
+      });
+      return;
+    }
+
+    await banFromLeaderboard(redis, user.userId, {
+      username: user.username,
+      reason,
+      bannedBy: await getModeratorName(),
+      bannedAt: Date.now(),
+    });
+    // A ban also takes them off the post it was issued from.
+    if (postId) await removeUserEntries(redis, postId, user.userId);
+    await recordModAction({
+      action: 'ban',
+      postId,
+      targetUsername: user.username,
+      targetUserId: user.userId,
+      reason,
+    });
+    res.json({ showToast: `u/${user.username} is banned from Daily Darts leaderboards` });
+  } catch (error) {
+    console.error(`Error banning leaderboard player: ${error}`);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to ban player',
+    });
+  }
+});
+
+router.post('/internal/form/leaderboard-reset', async (req, res): Promise<void> => {
+  try {
+    const postId = await recallModTarget();
+    if (!postId) {
+      res.json({ showToast: 'Open this from the post menu of a Daily Darts post' });
+      return;
+    }
+    if (req.body.confirm !== true) {
+      res.json({ showToast: 'Leaderboard not reset: tick the confirmation box' });
+      return;
+    }
+
+    await resetPostLeaderboard(redis, postId);
+    await recordModAction({
+      action: 'reset-leaderboard',
+      postId,
+      targetUsername: null,
+      targetUserId: null,
+      reason: formReason(req.body.reason),
+    });
+    res.json({ showToast: { text: 'Leaderboard reset', appearance: 'success' } });
+  } catch (error) {
+    console.error(`Error resetting leaderboard: ${error}`);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to reset leaderboard',
+    });
+  }
+});
+
+router.post('/internal/menu/daily-recap', async (req, res): Promise<void> => {
+  await rememberModTarget(req.body.targetId);
+  res.json({
+    showForm: {
+      name: 'dailyRecap',
+      form: {
+        title: 'Post a daily recap',
+        description: "Comments the day's top 10 and stats on this post. One recap per day.",
+        acceptLabel: 'Post',
+        fields: [
+          {
+            type: 'string',
+            name: 'date',
+            label: 'Day (YYYY-MM-DD, UTC)',
+            helpText: 'Leave empty for yesterday.',
+          },
+        ],
+      },
+    },
+  });
+});
+
+router.post('/internal/form/daily-recap', async (req, res): Promise<void> => {
+  const postId = await recallModTarget();
+  const dateInput = typeof req.body.date === 'string' ? req.body.date.trim() : '';
+  const dayKey = dateInput || previousDayKey(utcDayKey());
+
+  if (!postId) {
+    res.json({ showToast: 'Open the menu on a Daily Darts post' });
+    return;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dayKey) || Number.isNaN(Date.parse(`${dayKey}T00:00:00Z`))) {
+    res.json({ showToast: 'Dates look like 2026-10-19' });
+    return;
+  }
+
+  try {
+    const posted = await postDailyRecap(postId, dayKey);
+    res.json({
+      showToast: posted ? `Posted the recap for ${dayKey}` : `The recap for ${dayKey} is already posted`,
+    });
+  } catch (error) {
+    console.error(`Error posting daily recap: ${error}`);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to post daily recap',
+    });
+  }
+});
+
+router.post('/internal/menu/leaderboard-export', async (_req, res): Promise<void> => {
+  res.json({
+    showForm: {
+      name: 'leaderboardExport',
+      form: {
+        title: 'Export a leaderboard',
+        description: 'Writes every entry to a moderators-only wiki page.',
+        acceptLabel: 'Export',
+        fields: [
+          {
+            type: 'string',
+            name: 'post',
+            label: 'Post link or id',
+            required: true,
+          },
+          {
+            type: 'select',
+            name: 'mode',
+            label: 'Game mode',
+            options: GAME_MODES.map(({ id, label }) => ({ label, value: id })),
+            defaultValue: ['classic'],
+          },
+          {
+            type: 'select',
+            name: 'period',
+            label: 'Period',
+            options: [
+              { label: 'All-time', value: 'all-time' },
+              { label: 'Day', value: 'daily' },
+              { label: 'Week', value: 'weekly' },
+            ],
+            defaultValue: ['all-time'],
+          },
+          {
+            type: 'string',
+            name: 'date',
+            label: 'Day or any day in the week (YYYY-MM-DD, UTC)',
+            helpText: 'Leave empty for today / this week. Ignored for all-time.',
+          },
+          {
+            type: 'select',
+            name: 'format',
+            label: 'Format',
+            options: [
+              { label: 'CSV', value: 'csv' },
+              { label: 'JSON', value: 'json' },
+            ],
+            defaultValue: ['csv'],
+          },
+        ],
+      },
+    },
+  });
+});
+
+router.post('/internal/form/leaderboard-export', async (req, res): Promise<void> => {
+  const postId = parsePostId(req.body.post);
+  const mode = formSelection(req.body.mode) ?? 'classic';
+  const period = formSelection(req.body.period) ?? 'all-time';
+  const format = formSelection(req.body.format) ?? 'csv';
+  const dateInput = typeof req.body.date === 'string' ? req.body.date.trim() : '';
+  const at = dateInput ? new Date(`${dateInput}T12:00:00Z`) : new Date();
+
+  if (!postId) {
+    res.json({ showToast: 'That does not look like a post link or id' });
+    return;
+  }
+  if (!isLeaderboardMode(mode) || !isLeaderboardPeriod(period) || !isLeaderboardExportFormat(format)) {
+    res.json({ showToast: 'Pick a game mode, period and format' });
+    return;
+  }
+  if (Number.isNaN(at.getTime())) {
+    res.json({ showToast: 'Dates look like 2026-10-19' });
+    return;
+  }
+
+  try {
+    const entries = await fetchAllEntries(redis, { postId, mode, period, at });
+    const bucket = period === 'all-time' ? '' : `-${at.toISOString().slice(0, 10)}`;
+    const page = `dailydarts/exports/${postId}-${mode}-${period}${bucket}`;
+    const fence = '```';
+    const url = await writeModWikiPage(
+      page,
+      `${fence}\n${formatLeaderboardExport(entries, format)}\n${fence}\n`,
+      `Leaderboard export (${entries.length} entries)`
+    );
+    await recordModAction({
+      action: 'export',
+      postId,
+      targetUsername: null,
+      targetUserId: null,
+      reason: `${mode} ${period}${bucket} as ${format}`,
+    });
+    res.json({ navigateTo: url });
+  } catch (error) {
+    console.error(`Error exporting leaderboard: ${error}`);
+    res.status(400).json({
+      status: 'error',
+      message: 'Failed to export leaderboard',
+    });
+  }
+});
+
 app.use(router);
 
 const server = createServer(app);
@@ -1,3 +1,11 @@
+import type {
+  LeaderboardMode,
+  LeaderboardPeriod,
+  ScoreDistribution,
+  ScoreDistributionBucket,
+} from "../shared/types/api";
+import { utcDayKey } from "./daily";
+
 type RedisLike = {
   zAdd: (key: string, ...members: { member: string; score: number }[]) => Promise<number>;
   zRange: (
@@ -8,9 +16,15 @@ type RedisLike = {
   ) => Promise<{ member: string; score: number }[]>;
   zRank: (key: string, member: string) => Promise<number | undefined>;
   zCard: (key: string) => Promise<number>;
+  zRemRangeByRank: (key: string, start: number, stop: number) => Promise<number>;
   hGet: (key: string, field: string) => Promise<string | undefined>;
   hMGet: (key: string, fields: string[]) => Promise<(string | null)[]>;
+  hGetAll: (key: string) => Promise<Record<string, string>>;
   hSet: (key: string, fieldValues: Record<string, string>) => Promise<number>;
+  expire: (key: string, seconds: number) => Promise<void>;
+  zRem: (key: string, members: string[]) => Promise<number>;
+  hDel: (key: string, fields: string[]) => Promise<number>;
+  del: (...keys: string[]) => Promise<void>;
 };
 
 export type LeaderboardEntry = {
@@ -21,12 +35,105 @@ export type LeaderboardEntry = {
   metadata?: Record<string, string>;
 };
 
+export type LeaderboardScope = {
+  postId: string;
+  mode: LeaderboardMode;
+  /** Omitted means all-time. */
+  period?: LeaderboardPeriod;
+  /** Picks the day/week bucket for daily/weekly boards; defaults to now. */
+  at?: Date;
+};
+
+/** How long finished daily/weekly boards stick around before Redis drops them. */
+export type LeaderboardRetention = {
+  dailyDays: number;
+  weeklyWeeks: number;
+};
+
+export const DEFAULT_LEADERBOARD_RETENTION: LeaderboardRetention = {
+  dailyDays: 7,
+  weeklyWeeks: 8,
+};
+
+/** Rows the game shows on the chalkboard and at the top of the round-end card. */
+export const DEFAULT_LEADERBOARD_LIMIT = 5;
+
+export const LEADERBOARD_PERIODS: readonly LeaderboardPeriod[] = ["daily", "weekly", "all-time"];
+
 type StoredLeaderboardRecord = Omit<LeaderboardEntry, "userId" | "rank">;
 
 const SCORE_MULTIPLIER = 1_000_000_000_000;
 
-const leaderboardKey = (postId: string): string => `leaderboard:${postId}`;
-const leaderboardMetaKey = (postId: string): string => `leaderboard:${postId}:meta`;
+// X01 and Around-the-Clock rank by darts used, so a smaller score is the better one.
+const LOWER_IS_BETTER: Record<LeaderboardMode, boolean> = {
+  classic: false,
+  "x01-301": true,
+  "x01-501": true,
+  cricket: false,
+  "around-the-clock": true,
+  "around-the-clock-skip": true,
+};
+
+export const isLeaderboardMode = (value: unknown): value is LeaderboardMode =>
+  typeof value === "string" && Object.hasOwn(LOWER_IS_BETTER, value);
+
+export const isLowerBetterMode = (mode: LeaderboardMode): boolean => LOWER_IS_BETTER[mode];
+
+export const isLeaderboardPeriod = (value: unknown): value is LeaderboardPeriod =>
+  typeof value === "string" && (LEADERBOARD_PERIODS as readonly string[]).includes(value);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfUtcDay = (at: Date): number =>
+  Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate());
+
+// ISO weeks start on Monday; week 1 is the week containing the year's first Thursday.
+const startOfIsoWeek = (at: Date): number => startOfUtcDay(at) - ((at.getUTCDay() + 6) % 7) * DAY_MS;
+
+/** ISO week, e.g. "2026-W43". */
+export const isoWeekKey = (at: Date): string => {
+  const thursday = new Date(startOfIsoWeek(at) + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1;
+  return `${year}-W${String(week).padStart(2, "0")}`;
+};
+
+// Classic keeps the original un-suffixed keys so existing boards carry over
+// (and all-time keeps the un-suffixed key per mode).
+const leaderboardKey = ({ postId, mode, period = "all-time", at = new Date() }: LeaderboardScope): string => {
+  const base = mode === "classic" ? `leaderboard:${postId}` : `leaderboard:${postId}:${mode}`;
+  switch (period) {
+    case "daily":
+      return `${base}:day:${utcDayKey(at)}`;
+    case "weekly":
+      return `${base}:week:${isoWeekKey(at)}`;
+    case "all-time":
+      return base;
+  }
+};
+
+/** Seconds until a bucket should expire: the end of its day/week plus retention. */
+const bucketTtlSeconds = (
+  period: LeaderboardPeriod,
+  at: Date,
+  retention: LeaderboardRetention
+): number | null => {
+  let expiresAt: number;
+  if (period === "daily") {
+    expiresAt = startOfUtcDay(at) + (1 + retention.dailyDays) * DAY_MS;
+  } else if (period === "weekly") {
+    expiresAt = startOfIsoWeek(at) + (1 + retention.weeklyWeeks) * 7 * DAY_MS;
+  } else {
+    return null;
+  }
+  return Math.max(1, Math.ceil((expiresAt - at.getTime()) / 1000));
+};
+const leaderboardMetaKey = (scope: LeaderboardScope): string =>
+  `${leaderboardKey(scope)}:meta`;
+const anonymousKey = (scope: LeaderboardScope): string => `${leaderboardKey(scope)}:anonymous`;
+
+// Logged-out rounds are kept apart, one entry per round; only the best few survive.
+const ANONYMOUS_BUCKET_LIMIT = 500;
 
 const encodeMetadata = (record: StoredLeaderboardRecord): string => JSON.stringify(record);
 
@@ -40,67 +147,344 @@ const decodeMetadata = (value: string | null | undefined): StoredLeaderboardReco
   }
 };
 
-const toCompositeScore = (score: number, submittedAt: number): number =>
-  score * SCORE_MULTIPLIER - submittedAt;
+// Ties go to whoever got there first, hence "- submittedAt".
+const toCompositeScore = (score: number, submittedAt: number, mode: LeaderboardMode): number =>
+  (LOWER_IS_BETTER[mode] ? -score : score) * SCORE_MULTIPLIER - submittedAt;
 
-export const upsertScore = async (
+const isAtLeastAsGood = (existing: number, candidate: number, mode: LeaderboardMode): boolean =>
+  LOWER_IS_BETTER[mode] ? existing <= candidate : existing >= candidate;
+
+const upsertPeriodScore = async (
   redis: RedisLike,
-  postId: string,
+  scope: LeaderboardScope & { period: LeaderboardPeriod; at: Date },
   userId: string,
-  score: number,
-  metadata?: Record<string, string>
+  record: StoredLeaderboardRecord,
+  retention: LeaderboardRetention
 ): Promise<StoredLeaderboardRecord> => {
-  const metaKey = leaderboardMetaKey(postId);
+  const key = leaderboardKey(scope);
+  const metaKey = leaderboardMetaKey(scope);
   const existing = decodeMetadata(await redis.hGet(metaKey, userId));
-  if (existing && existing.score >= score) {
+  if (existing && isAtLeastAsGood(existing.score, record.score, scope.mode)) {
     return existing;
   }
 
-  const submittedAt = Date.now();
-  const record = { score, submittedAt, metadata };
   await Promise.all([
     redis.hSet(metaKey, { [userId]: encodeMetadata(record) }),
-    redis.zAdd(leaderboardKey(postId), {
+    redis.zAdd(key, {
       member: userId,
-      score: toCompositeScore(score, submittedAt),
+      score: toCompositeScore(record.score, record.submittedAt, scope.mode),
     }),
   ]);
+
+  const ttl = bucketTtlSeconds(scope.period, scope.at, retention);
+  if (ttl !== null) {
+    await Promise.all([redis.expire(key, ttl), redis.expire(metaKey, ttl)]);
+  }
   return record;
 };
 
-export const fetchTopN = async (
+// Moderator bans are subreddit-wide (one app install = one Redis).
+const bansKey = "leaderboard:bans";
+
+export type LeaderboardBan = {
+  username: string;
+  reason: string;
+  bannedBy: string;
+  bannedAt: number;
+};
+
+/** Thrown by upsertScore for players a moderator has banned. */
+export class LeaderboardBanError extends Error {
+  constructor(userId: string) {
+    super(`User ${userId} is banned from the leaderboard`);
+    this.name = "LeaderboardBanError";
+  }
+}
+
+export const getLeaderboardBan = async (
+  redis: RedisLike,
+  userId: string
+): Promise<LeaderboardBan | null> => {
+  const value = await redis.hGet(bansKey, userId);
+  if (!value) return null;
+  try {
+    return JSON.parse(value) as LeaderboardBan;
+  } catch (error) {
+    console.warn("Failed to parse leaderboard ban", error);
+    return { username: userId, reason: "", bannedBy: "", bannedAt: 0 };
+  }
+};
+
+export const banFromLeaderboard = async (
+  redis: RedisLike,
+  userId: string,
+  ban: LeaderboardBan
+): Promise<void> => {
+  await redis.hSet(bansKey, { [userId]: JSON.stringify(ban) });
+};
+
+export const unbanFromLeaderboard = async (redis: RedisLike, userId: string): Promise<boolean> =>
+  (await redis.hDel(bansKey, [userId])) > 0;
+
+export const LEADERBOARD_MODES = Object.keys(LOWER_IS_BETTER) as LeaderboardMode[];
+
+// Every live board on a post: each mode's all-time board plus the current
+// day's and week's. Finished day/week boards are left to expire.
+const liveScopes = (postId: string, at: Date): (LeaderboardScope & { period: LeaderboardPeriod })[] =>
+  LEADERBOARD_MODES.flatMap((mode) =>
+    LEADERBOARD_PERIODS.map((period) => ({ postId, mode, period, at }))
+  );
+
+/** Drops a player from every live board on the post. Returns how many entries went. */
+export const removeUserEntries = async (
   redis: RedisLike,
   postId: string,
-  limit: number
+  userId: string,
+  at: Date = new Date()
+): Promise<number> => {
+  const removed = await Promise.all(
+    liveScopes(postId, at).map(async (scope) => {
+      const [count] = await Promise.all([
+        redis.zRem(leaderboardKey(scope), [userId]),
+        redis.hDel(leaderboardMetaKey(scope), [userId]),
+      ]);
+      return count;
+    })
+  );
+  return removed.reduce((sum, count) => sum + count, 0);
+};
+
+/** Wipes every live board on the post, including logged-out rounds. */
+export const resetPostLeaderboard = async (
+  redis: RedisLike,
+  postId: string,
+  at: Date = new Date()
+): Promise<void> => {
+  const keys = liveScopes(postId, at).flatMap((scope) => [
+    leaderboardKey(scope),
+    leaderboardMetaKey(scope),
+  ]);
+  const anonymousKeys = LEADERBOARD_MODES.map((mode) =>
+    anonymousKey({ postId, mode, period: "all-time" })
+  );
+  await redis.del(...keys, ...anonymousKeys);
+};
+
+/**
+ * Records a round on today's, this week's and the all-time board (each keeps
+ * the player's best), or only on the boards in `periods`. Returns the record
+ * kept on `scope.period`'s board.
+ */
+export const upsertScore = async (
+  redis: RedisLike,
+  scope: LeaderboardScope,
+  userId: string,
+  score: number,
+  metadata?: Record<string, string>,
+  retention: LeaderboardRetention = DEFAULT_LEADERBOARD_RETENTION,
+  periods: readonly LeaderboardPeriod[] = LEADERBOARD_PERIODS
+): Promise<StoredLeaderboardRecord> => {
+  if (await getLeaderboardBan(redis, userId)) {
+    throw new LeaderboardBanError(userId);
+  }
+
+  const at = scope.at ?? new Date();
+  const submittedAt = at.getTime();
+  const record: StoredLeaderboardRecord = metadata
+    ? { score, submittedAt, metadata }
+    : { score, submittedAt };
+
+  const records = await Promise.all(
+    periods.map((period) =>
+      upsertPeriodScore(redis, { ...scope, period, at }, userId, record, retention)
+    )
+  );
+  return records[periods.indexOf(scope.period ?? "all-time")] ?? record;
+};
+
+// Entries for 0-based ranks start..stop (inclusive), best first.
+const fetchRankRange = async (
+  redis: RedisLike,
+  scope: LeaderboardScope,
+  start: number,
+  stop: number
 ): Promise<LeaderboardEntry[]> => {
-  if (limit <= 0) return [];
-  const key = leaderboardKey(postId);
-  const topEntries = await redis.zRange(key, 0, limit - 1, { by: "rank", reverse: true });
-  if (!topEntries.length) return [];
+  if (stop < start) return [];
+  const key = leaderboardKey(scope);
+  const rangeEntries = await redis.zRange(key, start, stop, { by: "rank", reverse: true });
+  if (!rangeEntries.length) return [];
 
-  const metaKey = leaderboardMetaKey(postId);
-  const members = topEntries.map((entry) => entry.member);
+  const metaKey = leaderboardMetaKey(scope);
+  const members = rangeEntries.map((entry) => entry.member);
   const metaValues = await redis.hMGet(metaKey, members);
 
-  return topEntries.map((entry, index) => {
+  return rangeEntries.map((entry, index) => {
     const meta = decodeMetadata(metaValues[index]);
     return {
       userId: entry.member,
       score: meta?.score ?? entry.score,
       submittedAt: meta?.submittedAt ?? 0,
-      metadata: meta?.metadata,
-      rank: index + 1,
+      ...(meta?.metadata ? { metadata: meta.metadata } : {}),
+      rank: start + index + 1,
     };
   });
 };
 
+export const fetchTopN = async (
+  redis: RedisLike,
+  scope: LeaderboardScope,
+  limit: number
+): Promise<LeaderboardEntry[]> => {
+  if (limit <= 0) return [];
+  return fetchRankRange(redis, scope, 0, limit - 1);
+};
+
+/** Every entry on the board, best first (exports). */
+export const fetchAllEntries = async (
+  redis: RedisLike,
+  scope: LeaderboardScope
+): Promise<LeaderboardEntry[]> => {
+  const total = await redis.zCard(leaderboardKey(scope));
+  return fetchRankRange(redis, scope, 0, total - 1);
+};
+
+/**
+ * Pagination cursors are opaque to clients: the 0-based rank the next page
+ * starts at. Ranks shift as new scores land, so a page may repeat or skip a
+ * row; clients de-duplicate by userId.
+ */
+export const encodeLeaderboardCursor = (offset: number): string => String(offset);
+
+export const decodeLeaderboardCursor = (cursor: unknown): number | null => {
+  if (typeof cursor !== "string" || !/^\d{1,9}$/.test(cursor)) return null;
+  return Number.parseInt(cursor, 10);
+};
+
+export const fetchLeaderboardPage = async (
+  redis: RedisLike,
+  scope: LeaderboardScope,
+  offset: number,
+  limit: number
+): Promise<{ entries: LeaderboardEntry[]; nextCursor: string | null }> => {
+  const [entries, total] = await Promise.all([
+    limit > 0 ? fetchRankRange(redis, scope, offset, offset + limit - 1) : Promise.resolve([]),
+    redis.zCard(leaderboardKey(scope)),
+  ]);
+  const next = offset + limit;
+  return { entries, nextCursor: next < total ? encodeLeaderboardCursor(next) : null };
+};
+
+/**
+ * The `radius` players above and below `userId`, including them. Empty if
+ * they have no score on this board.
+ */
+export const fetchAroundUser = async (
+  redis: RedisLike,
+  scope: LeaderboardScope,
+  userId: string,
+  radius: number
+): Promise<LeaderboardEntry[]> => {
+  const rank = await getRankForUser(redis, scope, userId);
+  if (rank === null) return [];
+  const index = rank - 1;
+  return fetchRankRange(redis, scope, Math.max(0, index - radius), index + radius);
+};
+
 export const getRankForUser = async (
   redis: RedisLike,
-  postId: string,
+  scope: LeaderboardScope,
   userId: string
 ): Promise<number | null> => {
-  const key = leaderboardKey(postId);
+  const key = leaderboardKey(scope);
   const [rank, total] = await Promise.all([redis.zRank(key, userId), redis.zCard(key)]);
   if (rank === undefined) return null;
   return total - rank;
 };
+
+export const DEFAULT_DISTRIBUTION_BUCKETS = 10;
+
+// Equal-width integer buckets spanning every score on the board.
+const bucketScores = (scores: number[], bucketCount: number): ScoreDistributionBucket[] => {
+  if (!scores.length) return [];
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  const width = Math.max(1, Math.ceil((max - min + 1) / bucketCount));
+  const count = Math.ceil((max - min + 1) / width);
+
+  const buckets = Array.from({ length: count }, (_, i) => ({
+    min: min + i * width,
+    max: Math.min(max, min + (i + 1) * width - 1),
+    count: 0,
+  }));
+  for (const score of scores) {
+    const bucket = buckets[Math.floor((score - min) / width)];
+    if (bucket) bucket.count += 1;
+  }
+  return buckets;
+};
+
+/**
+ * Where the caller sits among everyone on this board: the share of other
+ * players they beat (from zRank/zCard) plus a histogram of all scores. The
+ * composite sort scores can't be decoded back to points, so the histogram
+ * reads the stored records.
+ */
+export const fetchScoreDistribution = async (
+  redis: RedisLike,
+  scope: LeaderboardScope,
+  userId: string | null,
+  bucketCount: number = DEFAULT_DISTRIBUTION_BUCKETS
+): Promise<ScoreDistribution> => {
+  const [records, totalPlayers, callerRank] = await Promise.all([
+    redis.hGetAll(leaderboardMetaKey(scope)),
+    redis.zCard(leaderboardKey(scope)),
+    userId ? getRankForUser(redis, scope, userId) : Promise.resolve(null),
+  ]);
+
+  const scores: number[] = [];
+  for (const value of Object.values(records)) {
+    const record = decodeMetadata(value);
+    if (record && Number.isFinite(record.score)) scores.push(record.score);
+  }
+  const buckets = bucketScores(scores, bucketCount);
+
+  const callerScore = userId ? (decodeMetadata(records[userId])?.score ?? null) : null;
+  const callerBucket =
+    callerScore === null
+      ? null
+      : buckets.findIndex((bucket) => callerScore >= bucket.min && callerScore <= bucket.max);
+
+  // Nobody to beat on a board of one.
+  const percentile =
+    callerRank === null || totalPlayers < 2
+      ? null
+      : Math.floor(((totalPlayers - callerRank) / (totalPlayers - 1)) * 100);
+
+  return {
+    totalPlayers,
+    callerRank,
+    callerScore,
+    percentile,
+    lowerIsBetter: LOWER_IS_BETTER[scope.mode],
+    buckets,
+    callerBucket: callerBucket === -1 ? null : callerBucket,
+  };
+};
+
+/**
+ * Logged-out players have no identity to rank under, so every round is its own
+ * entry in a separate, never-ranked bucket. Nobody can overwrite anybody else.
+ */
+export const recordAnonymousScore = async (
+  redis: RedisLike,
+  scope: LeaderboardScope,
+  roundId: string,
+  score: number
+): Promise<void> => {
+  const key = anonymousKey({ ...scope, period: "all-time" });
+  await redis.zAdd(key, {
+    member: roundId,
+    score: toCompositeScore(score, Date.now(), scope.mode),
+  });
+  await redis.zRemRangeByRank(key, 0, -(ANONYMOUS_BUCKET_LIMIT + 1));
+};
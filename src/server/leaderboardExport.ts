@@ -0,0 +1,56 @@
+import type { LeaderboardEntry } from "./leaderboard";
+
+export type LeaderboardExportFormat = "csv" | "json";
+
+export const isLeaderboardExportFormat = (value: unknown): value is LeaderboardExportFormat =>
+  value === "csv" || value === "json";
+
+const CSV_COLUMNS = ["rank", "userId", "username", "score", "submittedAt", "metadata"] as const;
+
+// RFC 4180: quote fields containing commas, quotes or newlines; double the quotes.
+const csvField = (value: string): string =>
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const exportRow = (entry: LeaderboardEntry) => ({
+  rank: entry.rank,
+  userId: entry.userId,
+  username: entry.metadata?.username ?? "",
+  score: entry.score,
+  submittedAt: new Date(entry.submittedAt).toISOString(),
+  metadata: entry.metadata ?? {},
+});
+
+/**
+ * One row per entry, best first. submittedAt is ISO 8601 (UTC); metadata is
+ * the stored metadata object (JSON-encoded in CSV).
+ */
+export const formatLeaderboardExport = (
+  entries: LeaderboardEntry[],
+  format: LeaderboardExportFormat
+): string => {
+  const rows = entries.map(exportRow);
+  if (format === "json") return JSON.stringify(rows, null, 2);
+
+  const lines = rows.map((row) =>
+    [
+      String(row.rank),
+      row.userId,
+      row.username,
+      String(row.score),
+      row.submittedAt,
+      JSON.stringify(row.metadata),
+    ]
+      .map(csvField)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...lines].join("\n");
+};
+
+/** Accepts "t3_abc123", "abc123" or a post URL (".../comments/abc123/..."). */
+export const parsePostId = (input: unknown): string | null => {
+  if (typeof input !== "string") return null;
+  const value = input.trim();
+  const fromUrl = /\/comments\/([a-z0-9]+)/i.exec(value)?.[1];
+  const id = fromUrl ?? value.replace(/^t3_/i, "");
+  return /^[a-z0-9]+$/i.test(id) ? `t3_${id.toLowerCase()}` : null;
+};
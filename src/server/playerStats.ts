@@ -0,0 +1,116 @@
+import type { LeaderboardMode, PlayerNumberStats, PlayerStats } from "../shared/types/api";
+import type { ScoreResult } from "../shared/game/scoring";
+import { isLowerBetterMode, isLeaderboardMode } from "./leaderboard";
+
+type RedisLike = {
+  hGetAll: (key: string) => Promise<Record<string, string>>;
+  hGet: (key: string, field: string) => Promise<string | undefined>;
+  hSet: (key: string, fieldValues: Record<string, string>) => Promise<number>;
+  hIncrBy: (key: string, field: string, value: number) => Promise<number>;
+};
+
+/** One round the server has replayed and accepted. */
+export type PlayerRound = {
+  mode: LeaderboardMode;
+  score: number;
+  darts: ScoreResult[];
+};
+
+// Lifetime counters live in one hash per player:
+//   rounds, darts, points, trebles, doubles, bulls, misses
+//   hits:<1..20>   darts that landed in each number (any ring)
+//   best:<mode>    best round score per game mode
+const statsKey = (userId: string): string => `player:${userId}:stats`;
+
+const BOARD_NUMBERS = Array.from({ length: 20 }, (_, i) => i + 1);
+
+const countDarts = (darts: ScoreResult[]): Record<string, number> => {
+  const counts: Record<string, number> = { rounds: 1, darts: darts.length };
+  const add = (field: string): void => {
+    counts[field] = (counts[field] ?? 0) + 1;
+  };
+
+  let points = 0;
+  for (const dart of darts) {
+    points += dart.points;
+    if (dart.ring === "TRIPLE") add("trebles");
+    else if (dart.ring === "DOUBLE") add("doubles");
+    else if (dart.ring === "SBULL" || dart.ring === "DBULL") add("bulls");
+    else if (dart.ring === "MISS") add("misses");
+
+    if (dart.wedge !== null && dart.ring !== "MISS") add(`hits:${dart.wedge}`);
+  }
+  counts.points = points;
+  return counts;
+};
+
+/**
+ * Folds a replayed round into the player's lifetime stats. Counters use
+ * HINCRBY so two rounds landing at once can't lose each other's darts.
+ */
+export const recordPlayerRound = async (
+  redis: RedisLike,
+  userId: string,
+  round: PlayerRound
+): Promise<void> => {
+  const key = statsKey(userId);
+  const counts = countDarts(round.darts);
+
+  await Promise.all(
+    Object.entries(counts)
+      .filter(([, value]) => value !== 0)
+      .map(([field, value]) => redis.hIncrBy(key, field, value))
+  );
+
+  const bestField = `best:${round.mode}`;
+  const previous = Number.parseFloat((await redis.hGet(key, bestField)) ?? "");
+  const improved =
+    !Number.isFinite(previous) ||
+    (isLowerBetterMode(round.mode) ? round.score < previous : round.score > previous);
+  if (improved) {
+    await redis.hSet(key, { [bestField]: String(round.score) });
+  }
+};
+
+/** null if the player has never finished a ranked round. */
+export const getPlayerStats = async (
+  redis: RedisLike,
+  userId: string
+): Promise<PlayerStats | null> => {
+  const raw = await redis.hGetAll(statsKey(userId));
+  const read = (field: string): number => {
+    const value = Number.parseFloat(raw[field] ?? "");
+    return Number.isFinite(value) ? value : 0;
+  };
+
+  const roundsPlayed = read("rounds");
+  if (!roundsPlayed) return null;
+
+  const dartsThrown = read("darts");
+  const rate = (count: number): number => (dartsThrown ? count / dartsThrown : 0);
+
+  const bestRounds: PlayerStats["bestRounds"] = {};
+  for (const [field, value] of Object.entries(raw)) {
+    const mode = field.startsWith("best:") ? field.slice("best:".length) : null;
+    if (mode && isLeaderboardMode(mode)) bestRounds[mode] = Number.parseFloat(value);
+  }
+
+  const numbers: PlayerNumberStats[] = BOARD_NUMBERS.map((number) => {
+    const hits = read(`hits:${number}`);
+    return { number, hits, dartShare: rate(hits) };
+  });
+
+  return {
+    roundsPlayed,
+    dartsThrown,
+    totalPoints: read("points"),
+    averagePerDart: rate(read("points")),
+    bestRounds,
+    trebles: read("trebles"),
+    doubles: read("doubles"),
+    bulls: read("bulls"),
+    misses: read("misses"),
+    missRate: rate(read("misses")),
+    numbers,
+  };
+};
@@ -0,0 +1,37 @@
+import type { GameConfig } from "../shared/types/api";
+import { DEFAULT_GAME_CONFIG, normalizeGameConfig } from "../shared/game/config";
+
+type RedisLike = {
+  hGetAll: (key: string) => Promise<Record<string, string>>;
+  hSet: (key: string, fieldValues: Record<string, string>) => Promise<number>;
+};
+
+// { mode, dartsPerRound, difficulty, wireBounceOuts, leaderboard } per post.
+const postConfigKey = (postId: string): string => `post:${postId}:config`;
+
+/** The config stored for a post, or null for posts created without one. */
+export const findPostConfig = async (redis: RedisLike, postId: string): Promise<GameConfig | null> => {
+  const raw = await redis.hGetAll(postConfigKey(postId));
+  return Object.keys(raw).length ? normalizeGameConfig(raw) : null;
+};
+
+/** The post's game config; posts created without one play the defaults. */
+export const getPostConfig = async (redis: RedisLike, postId: string): Promise<GameConfig> =>
+  (await findPostConfig(redis, postId)) ?? { ...DEFAULT_GAME_CONFIG };
+
+/** Store a post's config (normalized, so the replay always sees valid values). */
+export const savePostConfig = async (
+  redis: RedisLike,
+  postId: string,
+  config: Partial<Record<keyof GameConfig, unknown>>
+): Promise<GameConfig> => {
+  const normalized = normalizeGameConfig(config);
+  await redis.hSet(postConfigKey(postId), {
+    mode: normalized.mode,
+    dartsPerRound: String(normalized.dartsPerRound),
+    difficulty: normalized.difficulty,
+    wireBounceOuts: String(normalized.wireBounceOuts),
+    leaderboard: normalized.leaderboard,
+  });
+  return normalized;
+};
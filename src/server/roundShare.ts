@@ -0,0 +1,114 @@
+import type { LeaderboardMode, LeaderboardPeriod } from "../shared/types/api";
+import { GAME_MODES } from "../shared/game/modes";
+import { isLowerBetterMode } from "./leaderboard";
+
+type RedisLike = {
+  get: (key: string) => Promise<string | undefined>;
+  set: (
+    key: string,
+    value: string,
+    options?: { nx?: boolean; expiration?: Date }
+  ) => Promise<string>;
+  del: (...keys: string[]) => Promise<void>;
+};
+
+/** What the server accepted for a ranked round; shares are checked against it. */
+export type StoredRoundResult = {
+  userId: string;
+  mode: LeaderboardMode;
+  score: number;
+  /** Per-dart labels from the replay ("T20", "S5", "DBULL", "MISS", ...). */
+  darts: string[];
+};
+
+// Same lifetime as the round id itself (see throwLog.ts).
+const ROUND_RESULT_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+const roundResultKey = (postId: string, roundId: string): string => `round:${postId}:${roundId}:result`;
+const roundShareKey = (postId: string, roundId: string): string => `round:${postId}:${roundId}:shared`;
+
+export const storeRoundResult = async (
+  redis: RedisLike,
+  postId: string,
+  roundId: string,
+  result: StoredRoundResult,
+  now: Date = new Date()
+): Promise<void> => {
+  await redis.set(roundResultKey(postId, roundId), JSON.stringify(result), {
+    expiration: new Date(now.getTime() + ROUND_RESULT_TTL_MS),
+  });
+};
+
+export const getRoundResult = async (
+  redis: RedisLike,
+  postId: string,
+  roundId: string
+): Promise<StoredRoundResult | null> => {
+  const raw = await redis.get(roundResultKey(postId, roundId));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw) as StoredRoundResult;
+  } catch (error) {
+    console.warn(`Failed to parse stored result for round ${roundId}`, error);
+    return null;
+  }
+};
+
+/** True if the shared round is exactly the stored one. */
+export const matchesRoundResult = (
+  stored: StoredRoundResult,
+  shared: { mode: unknown; score: unknown; darts: unknown }
+): boolean =>
+  shared.mode === stored.mode &&
+  shared.score === stored.score &&
+  Array.isArray(shared.darts) &&
+  shared.darts.length === stored.darts.length &&
+  shared.darts.every((label, i) => label === stored.darts[i]);
+
+/** Each round can be shared once. Returns false if it already was. */
+export const claimRoundShare = async (
+  redis: RedisLike,
+  postId: string,
+  roundId: string,
+  now: Date = new Date()
+): Promise<boolean> => {
+  const key = roundShareKey(postId, roundId);
+  const token = `${now.getTime()}-${Math.random()}`;
+  await redis.set(key, token, {
+    nx: true,
+    expiration: new Date(now.getTime() + ROUND_RESULT_TTL_MS),
+  });
+  return (await redis.get(key)) === token;
+};
+
+/** Give the claim back when the comment could not be posted. */
+export const releaseRoundShare = async (redis: RedisLike, postId: string, roundId: string): Promise<void> =>
+  redis.del(roundShareKey(postId, roundId));
+
+const PERIOD_PHRASES: Record<LeaderboardPeriod, string> = {
+  daily: "today",
+  weekly: "this week",
+  "all-time": "all-time",
+};
+
+// "BOUNCE OUT" -> "BOUNCE-OUT", so the breakdown stays one token per dart.
+const compactLabel = (label: string): string => label.trim().replace(/\s+/g, "-");
+
+/** The share comment body (Reddit markdown). */
+export const formatShareComment = (
+  result: StoredRoundResult,
+  rank: number | null,
+  period: LeaderboardPeriod
+): string => {
+  const modeLabel = GAME_MODES.find((m) => m.id === result.mode)?.label ?? result.mode;
+  const scoreText = isLowerBetterMode(result.mode)
+    ? `finished ${modeLabel} in **${result.score} darts**`
+    : `scored **${result.score}** in ${modeLabel}`;
+  const rankText = rank !== null ? ` and I'm #${rank} ${PERIOD_PHRASES[period]}` : "";
+
+  return [
+    `🎯 I ${scoreText}${rankText}!`,
+    "",
+    `\`${result.darts.map(compactLabel).join(" ")}\``,
+  ].join("\n");
+};
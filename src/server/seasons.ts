@@ -0,0 +1,144 @@
+import type {
+  SeasonChampion,
+  SeasonInfo,
+  SeasonLength,
+  SeasonRecord,
+  SubredditLeaderboardEntry,
+} from "../shared/types/api";
+import { LEADERBOARD_MODES, isoWeekKey } from "./leaderboard";
+import {
+  defaultSubredditMetric,
+  fetchSubredditTopN,
+  resetSubredditStandings,
+} from "./subredditLeaderboard";
+
+type RedisLike = Parameters<typeof fetchSubredditTopN>[0] &
+  Parameters<typeof resetSubredditStandings>[0] & {
+    get: (key: string) => Promise<string | undefined>;
+    set: (
+      key: string,
+      value: string,
+      options?: { nx?: boolean; expiration?: Date }
+    ) => Promise<string>;
+  };
+
+export const DEFAULT_SEASON_LENGTH: SeasonLength = "monthly";
+
+const SEASON_LENGTHS: readonly SeasonLength[] = ["weekly", "monthly", "quarterly"];
+
+export const isSeasonLength = (value: unknown): value is SeasonLength =>
+  typeof value === "string" && (SEASON_LENGTHS as readonly string[]).includes(value);
+
+// How many rows of each mode's standings the archive keeps, and how many of
+// those count as champions.
+const ARCHIVE_LIMIT = 100;
+const CHAMPIONS_PER_MODE = 3;
+
+// A rollover that crashed halfway can be retried after this long.
+const ROLLOVER_LOCK_MS = 10 * 60 * 1000;
+
+const currentSeasonKey = "season:current";
+const lastSeasonKey = "season:last";
+const rolloverLockKey = (seasonId: string): string => `season:${seasonId}:rollover`;
+const championsKey = (seasonId: string): string => `season:${seasonId}:champions`;
+const archiveKey = (seasonId: string, mode: string): string => `season:${seasonId}:standings:${mode}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** The season containing `at`. Seasons follow UTC calendar weeks/months/quarters. */
+export const seasonFor = (length: SeasonLength, at: Date = new Date()): SeasonInfo => {
+  const year = at.getUTCFullYear();
+  const month = at.getUTCMonth();
+
+  if (length === "weekly") {
+    const startOfDay = Date.UTC(year, month, at.getUTCDate());
+    const startsAt = startOfDay - ((at.getUTCDay() + 6) % 7) * DAY_MS;
+    return { id: isoWeekKey(at), length, startsAt, endsAt: startsAt + 7 * DAY_MS };
+  }
+  if (length === "quarterly") {
+    const quarter = Math.floor(month / 3);
+    return {
+      id: `${year}-Q${quarter + 1}`,
+      length,
+      startsAt: Date.UTC(year, quarter * 3, 1),
+      endsAt: Date.UTC(year, quarter * 3 + 3, 1),
+    };
+  }
+  return {
+    id: `${year}-${String(month + 1).padStart(2, "0")}`,
+    length,
+    startsAt: Date.UTC(year, month, 1),
+    endsAt: Date.UTC(year, month + 1, 1),
+  };
+};
+
+const parseJson = <T>(value: string | undefined): T | null => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value) as T;
+  } catch (error) {
+    console.warn("Failed to parse season record", error);
+    return null;
+  }
+};
+
+export const getLastSeason = async (redis: RedisLike): Promise<SeasonRecord | null> => {
+  const seasonId = await redis.get(lastSeasonKey);
+  return seasonId ? parseJson<SeasonRecord>(await redis.get(championsKey(seasonId))) : null;
+};
+
+export const getArchivedStandings = async (
+  redis: RedisLike,
+  seasonId: string,
+  mode: string
+): Promise<SubredditLeaderboardEntry[]> =>
+  parseJson<SubredditLeaderboardEntry[]>(await redis.get(archiveKey(seasonId, mode))) ?? [];
+
+/**
+ * Ends the running season if the calendar has moved past it: every mode's
+ * subreddit standings are archived, the top finishers become champions, and
+ * the live standings start again from zero. Safe to call often (the scheduler
+ * runs it daily); only one caller does the work. Returns the finished season.
+ */
+export const rollSeasonIfDue = async (
+  redis: RedisLike,
+  subredditName: string,
+  length: SeasonLength,
+  now: Date = new Date()
+): Promise<SeasonRecord | null> => {
+  const current = seasonFor(length, now);
+  const running = await redis.get(currentSeasonKey);
+  if (running === current.id) return null;
+  if (!running) {
+    // First run: nothing to archive yet, the current season just starts.
+    await redis.set(currentSeasonKey, current.id);
+    return null;
+  }
+
+  const token = `${now.getTime()}-${Math.random()}`;
+  await redis.set(rolloverLockKey(running), token, {
+    nx: true,
+    expiration: new Date(now.getTime() + ROLLOVER_LOCK_MS),
+  });
+  if ((await redis.get(rolloverLockKey(running))) !== token) return null;
+
+  const champions: SeasonChampion[] = [];
+  for (const mode of LEADERBOARD_MODES) {
+    const scope = { subredditName, mode };
+    const metric = defaultSubredditMetric(mode);
+    const standings = await fetchSubredditTopN(redis, scope, metric, ARCHIVE_LIMIT);
+    if (!standings.length) continue;
+
+    await redis.set(archiveKey(running, mode), JSON.stringify(standings));
+    champions.push(
+      ...standings.slice(0, CHAMPIONS_PER_MODE).map((entry) => ({ ...entry, mode, metric }))
+    );
+    await resetSubredditStandings(redis, scope);
+  }
+
+  const record: SeasonRecord = { seasonId: running, endedAt: now.getTime(), champions };
+  await redis.set(championsKey(running), JSON.stringify(record));
+  await redis.set(lastSeasonKey, running);
+  await redis.set(currentSeasonKey, current.id);
+  return record;
+};
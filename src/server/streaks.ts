@@ -0,0 +1,84 @@
+import type { PlayerStreak } from "../shared/types/api";
+import { previousDayKey, utcDayKey } from "./daily";
+
+type RedisLike = {
+  hGetAll: (key: string) => Promise<Record<string, string>>;
+  hSet: (key: string, fieldValues: Record<string, string>) => Promise<number>;
+  hSetNX: (key: string, field: string, value: string) => Promise<number>;
+  hDel: (key: string, fields: string[]) => Promise<number>;
+};
+
+/** Streak lengths (days) that get a celebration when reached. */
+export const STREAK_MILESTONES: readonly number[] = [3, 7, 14, 30, 50, 100, 200, 365];
+
+// { lastDay, current, best } per player, plus a day:<dayKey> field for each
+// recently counted day so two rounds of one day can't both count it.
+const streakKey = (userId: string): string => `player:${userId}:streak`;
+const dayField = (dayKey: string): string => `day:${dayKey}`;
+
+type StoredStreak = { lastDay: string | null; current: number; best: number };
+
+const readStreak = async (redis: RedisLike, userId: string): Promise<StoredStreak> => {
+  const raw = await redis.hGetAll(streakKey(userId));
+  const current = Number.parseInt(raw.current ?? "", 10);
+  const best = Number.parseInt(raw.best ?? "", 10);
+  return {
+    lastDay: raw.lastDay || null,
+    current: Number.isFinite(current) ? current : 0,
+    best: Number.isFinite(best) ? best : 0,
+  };
+};
+
+// A streak survives until a whole UTC day passes without a round.
+const toPlayerStreak = (stored: StoredStreak, today: string): PlayerStreak => {
+  const playedToday = stored.lastDay === today;
+  const alive = playedToday || stored.lastDay === previousDayKey(today);
+  return {
+    current: alive ? stored.current : 0,
+    best: stored.best,
+    playedToday,
+  };
+};
+
+export const getStreak = async (
+  redis: RedisLike,
+  userId: string,
+  now: Date = new Date()
+): Promise<PlayerStreak> => toPlayerStreak(await readStreak(redis, userId), utcDayKey(now));
+
+/**
+ * Counts `dayKey` (the daily challenge the round was played on, not the day it
+ * was submitted) towards the player's streak. Only the first round of a day
+ * counts, and a late round for a day older than the last counted one changes
+ * nothing. `milestone` is set on the round that reaches one.
+ */
+export const recordStreakDay = async (
+  redis: RedisLike,
+  userId: string,
+  dayKey: string
+): Promise<PlayerStreak & { milestone: number | null }> => {
+  const key = streakKey(userId);
+  const firstOfDay = (await redis.hSetNX(key, dayField(dayKey), "1")) > 0;
+  const stored = await readStreak(redis, userId);
+  if (!firstOfDay || (stored.lastDay !== null && stored.lastDay >= dayKey)) {
+    const latest = stored.lastDay !== null && stored.lastDay > dayKey ? stored.lastDay : dayKey;
+    return { ...toPlayerStreak(stored, latest), milestone: null };
+  }
+
+  const current = stored.lastDay === previousDayKey(dayKey) ? stored.current + 1 : 1;
+  const best = Math.max(stored.best, current);
+  await redis.hSet(key, {
+    lastDay: dayKey,
+    current: String(current),
+    best: String(best),
+  });
+  // Rounds are only accepted for today and yesterday, so older guards are done.
+  await redis.hDel(key, [dayField(previousDayKey(previousDayKey(dayKey)))]);
+
+  return {
+    current,
+    best,
+    playedToday: true,
+    milestone: STREAK_MILESTONES.includes(current) ? current : null,
+  };
+};
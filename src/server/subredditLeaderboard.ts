@@ -0,0 +1,221 @@
+import type {
+  LeaderboardMode,
+  SubredditLeaderboardEntry,
+  SubredditLeaderboardMetric,
+} from "../shared/types/api";
+import { isLowerBetterMode } from "./leaderboard";
+
+type RedisLike = {
+  zRange: (
+    key: string,
+    start: number,
+    stop: number,
+    options: { by: "rank"; reverse?: boolean }
+  ) => Promise<{ member: string; score: number }[]>;
+  zRank: (key: string, member: string) => Promise<number | undefined>;
+  zCard: (key: string) => Promise<number>;
+  zScore: (key: string, member: string) => Promise<number | undefined>;
+  zIncrBy: (key: string, member: string, value: number) => Promise<number>;
+  hGet: (key: string, field: string) => Promise<string | undefined>;
+  hIncrBy: (key: string, field: string, value: number) => Promise<number>;
+  hMGet: (key: string, fields: string[]) => Promise<(string | null)[]>;
+  hSet: (key: string, fieldValues: Record<string, string>) => Promise<number>;
+  hSetNX: (key: string, field: string, value: string) => Promise<number>;
+  del: (...keys: string[]) => Promise<void>;
+};
+
+export type SubredditLeaderboardScope = {
+  subredditName: string;
+  mode: LeaderboardMode;
+};
+
+/** One ranked round, as accepted by /api/leaderboard/submit. */
+export type SubredditResult = {
+  userId: string;
+  username: string;
+  postId: string;
+  dayKey: string;
+  score: number;
+};
+
+export const SUBREDDIT_LEADERBOARD_METRICS: readonly SubredditLeaderboardMetric[] = [
+  "total",
+  "best",
+  "days",
+];
+
+export const isSubredditLeaderboardMetric = (value: unknown): value is SubredditLeaderboardMetric =>
+  typeof value === "string" && (SUBREDDIT_LEADERBOARD_METRICS as readonly string[]).includes(value);
+
+/** Summing darts across posts means nothing, so darts-ranked modes have no total. */
+export const hasTotalPoints = (mode: LeaderboardMode): boolean => !isLowerBetterMode(mode);
+
+/** What a mode's standings are ranked by unless asked otherwise. */
+export const defaultSubredditMetric = (mode: LeaderboardMode): SubredditLeaderboardMetric =>
+  hasTotalPoints(mode) ? "total" : "best";
+
+// Every post keeps its own leaderboard:${postId} boards; these keys span all of
+// them, one set per subreddit and mode.
+const baseKey = ({ subredditName, mode }: SubredditLeaderboardScope): string =>
+  `subreddit:${subredditName}:leaderboard:${mode}`;
+const metricKey = (scope: SubredditLeaderboardScope, metric: SubredditLeaderboardMetric): string =>
+  `${baseKey(scope)}:${metric}`;
+const namesKey = (scope: SubredditLeaderboardScope): string => `${baseKey(scope)}:names`;
+// Per player: their best score on each post (so replays on one post don't stack
+// up the total) and the days they have played.
+const postBestsKey = (scope: SubredditLeaderboardScope, userId: string): string =>
+  `${baseKey(scope)}:posts:${userId}`;
+const daysKey = (scope: SubredditLeaderboardScope, userId: string): string =>
+  `${baseKey(scope)}:days:${userId}`;
+
+// Sorted sets rank high-to-low, so darts-ranked bests are stored negated.
+const toBestSortScore = (score: number, mode: LeaderboardMode): number =>
+  isLowerBetterMode(mode) ? -score : score;
+
+// Concurrent submits from one player (two tabs, two posts) race on the same
+// bests, so they're only ever moved by increments. Whoever's increment lands
+// exactly on `target` raised it from the value they read; anyone else undoes
+// theirs and looks again.
+const MAX_RAISE_ATTEMPTS = 5;
+
+/** Raise a stored best to `target` if that beats it. Returns how far it rose. */
+const raiseTo = async (
+  read: () => Promise<number | undefined>,
+  incrBy: (value: number) => Promise<number>,
+  target: number
+): Promise<number> => {
+  for (let attempt = 0; attempt < MAX_RAISE_ATTEMPTS; attempt++) {
+    const current = await read();
+    if (current !== undefined && target <= current) return 0;
+
+    const rise = target - (current ?? 0);
+    if ((await incrBy(rise)) === target) return rise;
+    await incrBy(-rise);
+  }
+  console.warn(`Gave up raising a subreddit best to ${target} after ${MAX_RAISE_ATTEMPTS} tries`);
+  return 0;
+};
+
+/**
+ * Folds one ranked round into the subreddit standings:
+ *   - total: sum of the player's best score on each post
+ *   - best:  their best single round anywhere in the subreddit
+ *   - days:  distinct daily challenges they have finished a round on
+ */
+export const recordSubredditResult = async (
+  redis: RedisLike,
+  scope: SubredditLeaderboardScope,
+  result: SubredditResult
+): Promise<void> => {
+  const { userId, username, postId, dayKey, score } = result;
+
+  const updates: Promise<unknown>[] = [redis.hSet(namesKey(scope), { [userId]: username })];
+
+  if (await redis.hSetNX(daysKey(scope, userId), dayKey, "1")) {
+    updates.push(redis.zIncrBy(metricKey(scope, "days"), userId, 1));
+  }
+
+  if (hasTotalPoints(scope.mode)) {
+    // A post nobody has scored on counts as a best of 0 towards the total.
+    const postsKey = postBestsKey(scope, userId);
+    const rise = await raiseTo(
+      async () => {
+        const previous = Number(await redis.hGet(postsKey, postId));
+        return Number.isFinite(previous) ? previous : 0;
+      },
+      (value) => redis.hIncrBy(postsKey, postId, value),
+      score
+    );
+    if (rise > 0) {
+      updates.push(redis.zIncrBy(metricKey(scope, "total"), userId, rise));
+    }
+  }
+
+  const bestKey = metricKey(scope, "best");
+  await raiseTo(
+    () => redis.zScore(bestKey, userId),
+    (value) => redis.zIncrBy(bestKey, userId, value),
+    toBestSortScore(score, scope.mode)
+  );
+
+  await Promise.all(updates);
+};
+
+export const fetchSubredditTopN = async (
+  redis: RedisLike,
+  scope: SubredditLeaderboardScope,
+  metric: SubredditLeaderboardMetric,
+  limit: number
+): Promise<SubredditLeaderboardEntry[]> => {
+  if (limit <= 0) return [];
+  const topEntries = await redis.zRange(metricKey(scope, metric), 0, limit - 1, {
+    by: "rank",
+    reverse: true,
+  });
+  if (!topEntries.length) return [];
+
+  const members = topEntries.map((entry) => entry.member);
+  const [names, stats] = await Promise.all([
+    redis.hMGet(namesKey(scope), members),
+    Promise.all(members.map((userId) => getSubredditStats(redis, scope, userId))),
+  ]);
+
+  return topEntries.map((entry, index) => ({
+    userId: entry.member,
+    username: names[index] ?? entry.member,
+    rank: index + 1,
+    ...stats[index]!,
+  }));
+};
+
+export const getSubredditStats = async (
+  redis: RedisLike,
+  scope: SubredditLeaderboardScope,
+  userId: string
+): Promise<Omit<SubredditLeaderboardEntry, "userId" | "username" | "rank">> => {
+  const [total, best, days] = await Promise.all([
+    hasTotalPoints(scope.mode) ? redis.zScore(metricKey(scope, "total"), userId) : undefined,
+    redis.zScore(metricKey(scope, "best"), userId),
+    redis.zScore(metricKey(scope, "days"), userId),
+  ]);
+
+  return {
+    totalPoints: hasTotalPoints(scope.mode) ? (total ?? 0) : null,
+    bestRound: best === undefined ? null : toBestSortScore(best, scope.mode),
+    daysPlayed: days ?? 0,
+  };
+};
+
+export const getSubredditRankForUser = async (
+  redis: RedisLike,
+  scope: SubredditLeaderboardScope,
+  metric: SubredditLeaderboardMetric,
+  userId: string
+): Promise<number | null> => {
+  const key = metricKey(scope, metric);
+  const [rank, total] = await Promise.all([redis.zRank(key, userId), redis.zCard(key)]);
+  if (rank === undefined) return null;
+  return total - rank;
+};
+
+/**
+ * Clears the live standings for a mode (seasons archive them first). Per-player
+ * post bests and played days go too, so totals and day counts start from zero.
+ */
+export const resetSubredditStandings = async (
+  redis: RedisLike,
+  scope: SubredditLeaderboardScope
+): Promise<void> => {
+  // Everyone who finished a round has a days entry.
+  const players = await redis.zRange(metricKey(scope, "days"), 0, -1, { by: "rank" });
+  const playerKeys = players.flatMap(({ member }) => [
+    postBestsKey(scope, member),
+    daysKey(scope, member),
+  ]);
+
+  await redis.del(
+    ...SUBREDDIT_LEADERBOARD_METRICS.map((metric) => metricKey(scope, metric)),
+    namesKey(scope),
+    ...playerKeys
+  );
+};
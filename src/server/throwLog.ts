@@ -0,0 +1,178 @@
+import type {
+  DailyChallenge,
+  GameConfig,
+  LeaderboardMode,
+  RoundLog,
+  ThrowLogEntry,
+} from "../shared/types/api";
+import { createBoardScoringConfig, BOARD_RADIUS } from "../shared/game/board";
+import { DEFAULT_GAME_CONFIG } from "../shared/game/config";
+import { createDailyChallenge } from "../shared/game/daily";
+import { createGameMode } from "../shared/game/modes";
+import type { ScoreResult } from "../shared/game/scoring";
+import {
+  aimCenterAt,
+  createThrowResolver,
+  discRadiusForHold,
+  isVisitOver,
+  maxDiscCenterDistance,
+  sampleHitInDisc,
+} from "../shared/game/throws";
+
+type RedisLike = {
+  get: (key: string) => Promise<string | undefined>;
+  set: (
+    key: string,
+    value: string,
+    options?: { nx?: boolean; expiration?: Date }
+  ) => Promise<string>;
+};
+
+/** A replayed dart; `visitOver` marks the last dart of each visit. */
+export type ReplayedDart = ScoreResult & { visitOver: boolean };
+
+export type ReplayResult =
+  | { ok: true; score: number; dartsThrown: number; darts: ReplayedDart[] }
+  | { ok: false; reason: string };
+
+// Float slack for values the client computed with its own Math.sin/cos.
+const EPSILON = 1e-6;
+
+// Round ids only need to outlive the day they were played on (plus the grace day).
+const ROUND_ID_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+const roundIdKey = (postId: string, roundId: string): string => `round:${postId}:${roundId}`;
+
+const isFiniteNumber = (value: unknown): value is number =>
+  typeof value === "number" && Number.isFinite(value);
+
+const isThrowLogEntry = (value: unknown): value is ThrowLogEntry => {
+  if (!value || typeof value !== "object") return false;
+  const entry = value as Record<string, unknown>;
+  return (
+    isFiniteNumber(entry.centerX) &&
+    isFiniteNumber(entry.centerY) &&
+    isFiniteNumber(entry.radius) &&
+    isFiniteNumber(entry.holdTime) &&
+    isFiniteNumber(entry.releaseTime) &&
+    isFiniteNumber(entry.hitX) &&
+    isFiniteNumber(entry.hitY)
+  );
+};
+
+/** Shape check only; replayThrowLog decides whether the throws are possible. */
+export const isRoundLog = (value: unknown): value is RoundLog => {
+  if (!value || typeof value !== "object") return false;
+  const round = value as Record<string, unknown>;
+  return (
+    typeof round.roundId === "string" &&
+    round.roundId.length > 0 &&
+    round.roundId.length <= 64 &&
+    typeof round.dayKey === "string" &&
+    isFiniteNumber(round.seed) &&
+    Array.isArray(round.throws) &&
+    round.throws.every(isThrowLogEntry)
+  );
+};
+
+/**
+ * Re-play a round from its throw log under the day's conditions (and the
+ * post's round length, difficulty and wire bounce-outs) and score it with the
+ * shared rules. Rejects anything the real game could not produce: darts after
+ * the round ended, discs smaller/larger than the hold time allows, disc
+ * centers off the board or off the day's aim path, or landing points that
+ * don't match the seeded spread.
+ */
+export const replayThrowLog = (
+  round: RoundLog,
+  mode: LeaderboardMode,
+  daily: DailyChallenge,
+  config: Pick<GameConfig, "dartsPerRound" | "difficulty" | "wireBounceOuts"> = DEFAULT_GAME_CONFIG
+): ReplayResult => {
+  const conditions = createDailyChallenge(daily, config.difficulty);
+  const rngs = conditions.createRoundRngs();
+  const scoringConfig = { ...createBoardScoringConfig(BOARD_RADIUS), ...conditions.boardOverrides };
+  const resolver = createThrowResolver({ scoringConfig, rngs, wireBounceOuts: config.wireBounceOuts });
+  const { aim } = conditions;
+
+  const game = createGameMode(mode, { maxDarts: config.dartsPerRound });
+  game.reset();
+
+  const darts: ReplayedDart[] = [];
+  let dartsInVisit = 0;
+  let visitOver = false;
+  let lastReleaseTime = 0;
+
+  for (const [index, dart] of round.throws.entries()) {
+    const n = index + 1;
+
+    if (game.isFinished()) {
+      return { ok: false, reason: `dart ${n} was thrown after the round ended` };
+    }
+
+    if (dart.holdTime < 0 || dart.radius < aim.minRadius - EPSILON || dart.radius > aim.maxRadius + EPSILON) {
+      return { ok: false, reason: `dart ${n} has an out-of-range disc radius` };
+    }
+    if (Math.abs(dart.radius - discRadiusForHold(dart.holdTime, aim)) > EPSILON) {
+      return { ok: false, reason: `dart ${n} disc radius does not match its hold time` };
+    }
+    if (Math.hypot(dart.centerX, dart.centerY) > maxDiscCenterDistance(BOARD_RADIUS, aim.maxRadius) + EPSILON) {
+      return { ok: false, reason: `dart ${n} disc center is off the board` };
+    }
+
+    // The path clock only runs forward, and the disc was held for holdTime of it.
+    if (dart.releaseTime < lastReleaseTime - EPSILON || dart.releaseTime < dart.holdTime - EPSILON) {
+      return { ok: false, reason: `dart ${n} release time is out of order` };
+    }
+    lastReleaseTime = dart.releaseTime;
+
+    const center = aimCenterAt(dart.releaseTime - dart.holdTime, conditions.aimPath, aim, BOARD_RADIUS);
+    if (Math.abs(center.x - dart.centerX) > EPSILON || Math.abs(center.y - dart.centerY) > EPSILON) {
+      return { ok: false, reason: `dart ${n} disc center is not on the daily aim path` };
+    }
+
+    const expected = sampleHitInDisc(rngs.hit, dart.centerX, dart.centerY, dart.radius);
+    if (Math.abs(expected.hitX - dart.hitX) > EPSILON || Math.abs(expected.hitY - dart.hitY) > EPSILON) {
+      return { ok: false, reason: `dart ${n} landing point does not match the daily seed` };
+    }
+
+    if (visitOver) {
+      resolver.startVisit();
+      dartsInVisit = 0;
+      visitOver = false;
+    }
+
+    const resolved = resolver.resolve(dart.hitX, dart.hitY);
+    const outcome = game.registerThrow(resolved.scoreResult);
+    dartsInVisit += 1;
+    visitOver = isVisitOver(dartsInVisit, outcome);
+    darts.push({ ...resolved.scoreResult, visitOver });
+  }
+
+  const result = game.getResult();
+  if (!result.completed) {
+    return { ok: false, reason: "round is not complete" };
+  }
+
+  return { ok: true, score: result.score, dartsThrown: result.dartsThrown, darts };
+};
+
+/**
+ * Each round can be submitted once. Returns false if the id was already used.
+ */
+export const claimRoundId = async (
+  redis: RedisLike,
+  postId: string,
+  roundId: string,
+  now: Date = new Date()
+): Promise<boolean> => {
+  const key = roundIdKey(postId, roundId);
+  const token = `${now.getTime()}-${Math.random()}`;
+
+  // SET NX: of two concurrent submits of the same round, only one reads back its token.
+  await redis.set(key, token, {
+    nx: true,
+    expiration: new Date(now.getTime() + ROUND_ID_TTL_MS),
+  });
+  return (await redis.get(key)) === token;
+};
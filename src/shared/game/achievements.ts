@@ -0,0 +1,120 @@
+/**
+ * achievements.ts
+ *
+ * The achievement catalogue and the pure rules that decide which ones a
+ * finished round earns. The client runs it on `throwHistory` for instant
+ * feedback; the server runs it on the replayed darts (plus lifetime stats and
+ * streak) and is the one that records unlocks.
+ *
+ * - No DOM
+ * - No Three.js
+ */
+
+import type { LeaderboardMode, PlayerStats, PlayerStreak } from "../types/api";
+import type { ScoredDart } from "./modes/types";
+import { DARTS_PER_VISIT } from "./throws";
+
+export type AchievementContext = {
+  mode: LeaderboardMode;
+  completed: boolean;
+  /** Points, or darts used for modes ranked by darts. */
+  score: number;
+  /**
+   * Every dart of the round, in order (throwHistory / replayed ScoreResults).
+   * `visitOver` marks a visit's last dart (isVisitOver); darts without it are
+   * grouped in threes.
+   */
+  darts: (ScoredDart & { label?: string; visitOver?: boolean })[];
+  /** Lifetime stats including this round; server only. */
+  stats?: PlayerStats | null;
+  streak?: PlayerStreak | null;
+};
+
+export type Achievement = {
+  id: string;
+  name: string;
+  description: string;
+  earned: (ctx: AchievementContext) => boolean;
+};
+
+type AchievementDart = AchievementContext["darts"][number];
+
+const count = (ctx: AchievementContext, test: (dart: AchievementDart) => boolean) =>
+  ctx.darts.filter(test).length;
+
+// The round as the visits it was thrown in, so nothing spans a pulled board.
+const visits = (ctx: AchievementContext): AchievementDart[][] => {
+  const grouped: AchievementDart[][] = [];
+  let visit: AchievementDart[] = [];
+  for (const dart of ctx.darts) {
+    visit.push(dart);
+    if (dart?.visitOver ?? visit.length >= DARTS_PER_VISIT) {
+      grouped.push(visit);
+      visit = [];
+    }
+  }
+  if (visit.length) grouped.push(visit);
+  return grouped;
+};
+
+export const ACHIEVEMENTS: readonly Achievement[] = [
+  {
+    id: "first-dbull",
+    name: "Bullseye",
+    description: "Hit a double bull",
+    earned: (ctx) => count(ctx, (dart) => dart?.ring === "DBULL") > 0,
+  },
+  {
+    id: "treble-trio",
+    name: "Treble Trio",
+    description: "Hit three trebles in one round",
+    earned: (ctx) => count(ctx, (dart) => dart?.ring === "TRIPLE") >= 3,
+  },
+  {
+    id: "ton-eighty",
+    name: "One Hundred and Eighty",
+    description: "Throw three treble 20s in one visit",
+    earned: (ctx) =>
+      visits(ctx).some(
+        (visit) =>
+          visit.length === DARTS_PER_VISIT &&
+          visit.every((dart) => dart?.ring === "TRIPLE" && dart.wedge === 20)
+      ),
+  },
+  {
+    id: "three-hundred-club",
+    name: "300 Club",
+    description: "Score over 300 in a 10-dart Classic round",
+    earned: (ctx) =>
+      ctx.mode === "classic" && ctx.completed && ctx.darts.length <= 10 && ctx.score > 300,
+  },
+  {
+    id: "week-streak",
+    name: "Regular",
+    description: "Play 7 days in a row",
+    earned: (ctx) => (ctx.streak?.current ?? 0) >= 7,
+  },
+  {
+    id: "bull-magnet",
+    name: "Bull Magnet",
+    description: "Hit 50 bulls",
+    earned: (ctx) => (ctx.stats?.bulls ?? 0) >= 50,
+  },
+  {
+    id: "centurion",
+    name: "Centurion",
+    description: "Finish 100 rounds",
+    earned: (ctx) => (ctx.stats?.roundsPlayed ?? 0) >= 100,
+  },
+];
+
+export function getAchievement(id: string): Achievement | undefined {
+  return ACHIEVEMENTS.find((achievement) => achievement.id === id);
+}
+
+/** Ids of every achievement this round (and the lifetime totals) satisfy. */
+export function evaluateAchievements(ctx: AchievementContext): string[] {
+  return ACHIEVEMENTS.filter((achievement) => achievement.earned(ctx)).map(
+    (achievement) => achievement.id
+  );
+}
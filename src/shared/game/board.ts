@@ -0,0 +1,107 @@
+/**
+ * board.ts
+ *
+ * Dartboard geometry that scoring depends on. The client's board.js paints and
+ * builds the 3D board from these numbers; the server re-scores throw logs
+ * against the very same config.
+ */
+
+import type { ScoringConfig } from "./scoring";
+
+/**
+ * Canonical dartboard wedge order (clockwise, starting at 20 at the top).
+ * This must match BOTH the drawn face and the 3D number placement.
+ */
+export const DARTBOARD_NUMBERS = [
+  20, 1, 18, 4, 13,
+  6, 10, 15, 2, 17,
+  3, 19, 7, 16, 8,
+  11, 14, 9, 12, 5,
+] as const;
+
+/** World units; board.js builds the board at this radius by default. */
+export const BOARD_RADIUS = 2.05;
+
+const SEGMENTS = 20;
+const WEDGE_ANGLE = (Math.PI * 2) / SEGMENTS;
+
+/**
+ * The face is painted to a 512px outer radius; ring radii were authored against
+ * a 480px outer radius and scaled up (see board.js "FACE SCALING").
+ */
+export const FACE_OUTER_PX = 512;
+const FACE_SCALE = FACE_OUTER_PX / 480;
+
+export const BOARD_RADII_PX = {
+  outer: FACE_OUTER_PX,
+  doubleInner: 445 * FACE_SCALE,
+  doubleOuter: 480 * FACE_SCALE, // becomes 512
+  tripleInner: 275 * FACE_SCALE,
+  tripleOuter: 310 * FACE_SCALE,
+  bullOuter: 70 * FACE_SCALE,
+  dbullOuter: 32 * FACE_SCALE,
+} as const;
+
+/** Ring radii normalized to the true outer radius. */
+export const RING_RATIOS = {
+  outer: 1.0,
+  doubleInner: BOARD_RADII_PX.doubleInner / FACE_OUTER_PX,
+  doubleOuter: 1.0,
+  tripleInner: BOARD_RADII_PX.tripleInner / FACE_OUTER_PX,
+  tripleOuter: BOARD_RADII_PX.tripleOuter / FACE_OUTER_PX,
+  bullOuter: BOARD_RADII_PX.bullOuter / FACE_OUTER_PX,
+  dbullOuter: BOARD_RADII_PX.dbullOuter / FACE_OUTER_PX,
+} as const;
+
+/** Wires sit on the real ring boundaries so they match the painted face. */
+export const SPIDER_RATIOS = [
+  0.995, // near outer rim
+  RING_RATIOS.doubleInner,
+  RING_RATIOS.tripleOuter,
+  RING_RATIOS.tripleInner,
+  RING_RATIOS.bullOuter,
+  RING_RATIOS.dbullOuter,
+] as const;
+
+/**
+ * Scoring config for a board of `boardRadius` (consumed by scoring.ts + hitGlow).
+ */
+export function createBoardScoringConfig(boardRadius: number = BOARD_RADIUS): ScoringConfig {
+  return {
+    segments: SEGMENTS,
+    wedgeAngle: WEDGE_ANGLE,
+
+    // CENTER angle of wedge 0 (20): the top, in math coords (+y up)
+    startAngle: Math.PI / 2,
+
+    // Numbers are placed clockwise around the board
+    direction: "cw",
+
+    // No extra rotation applied to scoring wedges
+    angleOffset: 0,
+
+    numbers: [...DARTBOARD_NUMBERS],
+    faceOuterPx: FACE_OUTER_PX,
+    ringRatios: { ...RING_RATIOS },
+
+    ringEpsN: 0.01,
+
+    // Spider wires: ring wire radii + radial wires on every wedge boundary
+    // between the bull and the rim. A dart within wireTolN of a wire can
+    // bounce out (wireBounceChance per wire hit).
+    wires: {
+      ringRatios: [...SPIDER_RATIOS],
+      radialInner: RING_RATIOS.bullOuter,
+      radialOuter: SPIDER_RATIOS[0],
+    },
+    wireTolN: 0.004,
+    wireBounceChance: 0.25,
+
+    points: {
+      bull: 25,
+      dbull: 50,
+    },
+
+    boardRadius,
+  };
+}
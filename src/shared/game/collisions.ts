@@ -0,0 +1,105 @@
+/**
+ * collisions.ts
+ *
+ * Pure dart-on-dart collision logic for darts already stuck in the board.
+ * - No DOM
+ * - No Three.js
+ *
+ * Darts stick out of the board along its normal, so a new dart only meets an
+ * old one when their board-local XY points are close:
+ *   - within `robinHoodRadius`  => ROBIN HOOD: the new dart sticks in the back
+ *                                  of the old one and never reaches the board
+ *   - within `deflectRadius`    => it clips the barrel/flights: either it is
+ *                                  pushed away and lands elsewhere, or it
+ *                                  bounces out (closer = more likely)
+ *   - otherwise                 => clean landing
+ *
+ * Inputs and outputs are BOARD-LOCAL coordinates (same space as scoring.ts).
+ *
+ * Returns:
+ *   {
+ *     kind: "clean" | "deflected" | "bounce-out" | "robin-hood",
+ *     x, y,                 // final landing point (unchanged for clean/bounce-out)
+ *     againstIndex,         // index into boardDarts of the dart we hit, or null
+ *   }
+ */
+
+import type { Rng } from "./rng";
+
+export type BoardPoint = { x: number; y: number };
+
+export type CollisionKind = "clean" | "deflected" | "bounce-out" | "robin-hood";
+
+export type DartCollision = {
+  kind: CollisionKind;
+  x: number;
+  y: number;
+  againstIndex: number | null;
+};
+
+export const DART_COLLISION_DEFAULTS = {
+  // Tip has to land essentially on the other dart's axis.
+  robinHoodRadius: 0.012,
+
+  // Roughly the flight span of a stuck dart (see dart.js).
+  deflectRadius: 0.12,
+
+  // Bounce-out chance for a dead-center clip; falls off linearly to 0 at the edge.
+  maxBounceChance: 0.45,
+
+  // How far a deflected dart is pushed past the other dart's edge.
+  deflectPush: 0.05,
+};
+
+export type DartCollisionOptions = Partial<typeof DART_COLLISION_DEFAULTS> & {
+  rng?: Rng;
+};
+
+export function resolveDartCollision(
+  hitX: number,
+  hitY: number,
+  boardDarts: readonly BoardPoint[],
+  opts: DartCollisionOptions = {}
+): DartCollision {
+  const cfg = { ...DART_COLLISION_DEFAULTS, ...opts };
+  const rng = typeof opts.rng === "function" ? opts.rng : Math.random;
+
+  const clean: DartCollision = { kind: "clean", x: hitX, y: hitY, againstIndex: null };
+  if (!Array.isArray(boardDarts) || !boardDarts.length) return clean;
+
+  // Closest stuck dart wins; a new dart can only clip one.
+  let nearest = -1;
+  let nearestDist = Infinity;
+  boardDarts.forEach((dart, i) => {
+    const d = Math.hypot(hitX - dart.x, hitY - dart.y);
+    if (d < nearestDist) {
+      nearestDist = d;
+      nearest = i;
+    }
+  });
+
+  const other = boardDarts[nearest];
+  if (!other || nearestDist >= cfg.deflectRadius) return clean;
+
+  if (nearestDist < cfg.robinHoodRadius) {
+    return { kind: "robin-hood", x: other.x, y: other.y, againstIndex: nearest };
+  }
+
+  const closeness = 1 - nearestDist / cfg.deflectRadius;
+  if (rng() < cfg.maxBounceChance * closeness) {
+    return { kind: "bounce-out", x: hitX, y: hitY, againstIndex: nearest };
+  }
+
+  // Push radially away from the other dart, with a little sideways skid.
+  const ux = (hitX - other.x) / nearestDist;
+  const uy = (hitY - other.y) / nearestDist;
+  const push = cfg.deflectRadius - nearestDist + cfg.deflectPush * rng();
+  const skid = (rng() - 0.5) * cfg.deflectPush;
+
+  return {
+    kind: "deflected",
+    x: hitX + ux * push - uy * skid,
+    y: hitY + uy * push + ux * skid,
+    againstIndex: nearest,
+  };
+}
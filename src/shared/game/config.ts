@@ -0,0 +1,75 @@
+/**
+ * config.ts
+ *
+ * A post's game config: the one mode it ranks, the round length, the
+ * difficulty preset, whether wire hits can bounce out and which boards the
+ * post keeps. The server stores one per post and replays submitted rounds with
+ * it; the client plays with the defaults until /api/bootstrap answers.
+ *
+ * - No DOM
+ * - No Three.js
+ */
+
+import type { GameConfig, LeaderboardPeriod, PostLeaderboard } from "../types/api";
+import { DEFAULT_DIFFICULTY, isDifficulty } from "./daily";
+import { DEFAULT_GAME_MODE, GAME_MODES } from "./modes";
+
+export const MIN_DARTS_PER_ROUND = 3;
+export const MAX_DARTS_PER_ROUND = 30;
+
+export const DEFAULT_GAME_CONFIG: GameConfig = {
+  mode: DEFAULT_GAME_MODE,
+  dartsPerRound: 10,
+  difficulty: DEFAULT_DIFFICULTY,
+  wireBounceOuts: true,
+  // Posts from before configs existed keep every board they always had; only
+  // the scheduled daily posts opt into a daily-only leaderboard.
+  leaderboard: "permanent",
+};
+
+export const isPostLeaderboard = (value: unknown): value is PostLeaderboard =>
+  value === "daily" || value === "permanent";
+
+// A daily post only ranks today's rounds: it keeps no weekly or all-time board.
+const POST_LEADERBOARD_PERIODS: Record<PostLeaderboard, readonly LeaderboardPeriod[]> = {
+  daily: ["daily"],
+  permanent: ["daily", "weekly", "all-time"],
+};
+
+/** The boards a post records scores on and serves. */
+export const postLeaderboardPeriods = (leaderboard: PostLeaderboard): readonly LeaderboardPeriod[] =>
+  POST_LEADERBOARD_PERIODS[leaderboard];
+
+/** The board a post opens on when nobody asked for a particular one. */
+export const defaultLeaderboardPeriod = (leaderboard: PostLeaderboard): LeaderboardPeriod =>
+  leaderboard === "permanent" ? "all-time" : "daily";
+
+/**
+ * Fill in defaults for anything missing or invalid. Accepts numeric strings
+ * for `dartsPerRound` and "true"/"false" for `wireBounceOuts`, since stored
+ * configs come back as text.
+ */
+export function normalizeGameConfig(value: Partial<Record<keyof GameConfig, unknown>>): GameConfig {
+  const mode = GAME_MODES.find((m) => m.id === value.mode)?.id ?? DEFAULT_GAME_CONFIG.mode;
+
+  const darts = Math.trunc(Number(value.dartsPerRound));
+  const dartsPerRound = Number.isFinite(darts)
+    ? Math.max(MIN_DARTS_PER_ROUND, Math.min(darts, MAX_DARTS_PER_ROUND))
+    : DEFAULT_GAME_CONFIG.dartsPerRound;
+
+  const difficulty = isDifficulty(value.difficulty) ? value.difficulty : DEFAULT_GAME_CONFIG.difficulty;
+
+  const bounce = value.wireBounceOuts;
+  const wireBounceOuts =
+    typeof bounce === "boolean"
+      ? bounce
+      : bounce === "true" || bounce === "false"
+        ? bounce === "true"
+        : DEFAULT_GAME_CONFIG.wireBounceOuts;
+
+  const leaderboard = isPostLeaderboard(value.leaderboard)
+    ? value.leaderboard
+    : DEFAULT_GAME_CONFIG.leaderboard;
+
+  return { mode, dartsPerRound, difficulty, wireBounceOuts, leaderboard };
+}
@@ -0,0 +1,161 @@
+/**
+ * daily.ts
+ *
+ * Turns the server's per-day seed (GET /api/bootstrap -> daily) into the day's
+ * conditions:
+ *   - the aim disc's wander path (Lissajous frequencies + phases)
+ *   - one daily modifier (aim speed, shrink time, looser wires, ...)
+ *   - the post's difficulty preset, applied on top of the modifier
+ *   - fresh per-round rng streams for landing sampling, collisions and wires
+ *
+ * Same seed => same challenge for every player. Each round restarts the
+ * streams, so dart N lands with the same spread no matter how many rounds
+ * someone has already played today. The server rebuilds the same conditions
+ * to replay submitted throw logs.
+ */
+
+import type { DailyChallenge, Difficulty } from "../types/api";
+import { createSeededRng, deriveSeed, rngPick, rngRange, type Rng } from "./rng";
+
+export type AimPath = {
+  w1: number;
+  w2: number;
+  w3: number;
+  w4: number;
+  p1: number;
+  p2: number;
+  p3: number;
+  p4: number;
+};
+
+export type AimSettings = {
+  maxRadius: number;
+  minRadius: number;
+  shrinkTime: number;
+  speed: number;
+};
+
+export type DailyModifier = {
+  id: string;
+  label: string;
+  aim: Partial<AimSettings>;
+  board: { wireBounceChance?: number };
+};
+
+export type RoundRngs = {
+  hit: Rng;
+  collision: Rng;
+  wire: Rng;
+};
+
+export type DailyConditions = DailyChallenge & {
+  modifier: DailyModifier;
+  aimPath: AimPath;
+  /** Aim disc tuning with the modifier applied. */
+  aim: AimSettings;
+  boardOverrides: DailyModifier["board"];
+  createRoundRngs: () => RoundRngs;
+};
+
+// Disc size + shrink speed before any modifier (world units / seconds).
+export const AIM_DISC_DEFAULTS: AimSettings = {
+  maxRadius: 0.75,
+  minRadius: 0.06,
+  shrinkTime: 1.25,
+  speed: 1,
+};
+
+// The classic hand-tuned path; a day's path is a seeded wobble around it.
+export const BASE_AIM_PATH: AimPath = {
+  w1: 0.85,
+  w2: 1.33,
+  w3: 0.73,
+  w4: 1.91,
+  p1: 0,
+  p2: 1.7,
+  p3: 0,
+  p4: 0.9,
+};
+
+export const DAILY_MODIFIERS: readonly [DailyModifier, ...DailyModifier[]] = [
+  { id: "standard", label: "Standard conditions", aim: {}, board: {} },
+  { id: "quick-hands", label: "Quick hands", aim: { shrinkTime: 0.95 }, board: {} },
+  { id: "restless-aim", label: "Restless aim", aim: { speed: 1.3 }, board: {} },
+  { id: "steady-aim", label: "Steady aim", aim: { speed: 0.8 }, board: {} },
+  { id: "tight-grip", label: "Tight grip", aim: { minRadius: 0.045 }, board: {} },
+  { id: "loose-wires", label: "Loose wires", aim: {}, board: { wireBounceChance: 0.45 } },
+];
+
+// Difficulty scales the aim disc after the daily modifier: a relaxed post has
+// a calmer disc that shrinks tighter, a pro post a faster, looser one.
+export const DIFFICULTY_PRESETS: Record<Difficulty, { label: string; aimScale: Partial<AimSettings> }> = {
+  relaxed: { label: "Relaxed", aimScale: { speed: 0.8, minRadius: 0.8 } },
+  standard: { label: "Standard", aimScale: {} },
+  pro: { label: "Pro", aimScale: { speed: 1.25, minRadius: 1.3 } },
+};
+
+export const DEFAULT_DIFFICULTY: Difficulty = "standard";
+
+export const isDifficulty = (value: unknown): value is Difficulty =>
+  typeof value === "string" && Object.hasOwn(DIFFICULTY_PRESETS, value);
+
+function scaleAim(aim: AimSettings, scale: Partial<AimSettings>): AimSettings {
+  return {
+    maxRadius: aim.maxRadius * (scale.maxRadius ?? 1),
+    minRadius: aim.minRadius * (scale.minRadius ?? 1),
+    shrinkTime: aim.shrinkTime * (scale.shrinkTime ?? 1),
+    speed: aim.speed * (scale.speed ?? 1),
+  };
+}
+
+function rollAimPath(rng: Rng): AimPath {
+  return {
+    w1: BASE_AIM_PATH.w1 * rngRange(rng, 0.85, 1.15),
+    w2: BASE_AIM_PATH.w2 * rngRange(rng, 0.85, 1.15),
+    w3: BASE_AIM_PATH.w3 * rngRange(rng, 0.85, 1.15),
+    w4: BASE_AIM_PATH.w4 * rngRange(rng, 0.85, 1.15),
+    p1: rngRange(rng, 0, Math.PI * 2),
+    p2: rngRange(rng, 0, Math.PI * 2),
+    p3: rngRange(rng, 0, Math.PI * 2),
+    p4: rngRange(rng, 0, Math.PI * 2),
+  };
+}
+
+export function createDailyChallenge(
+  { dayKey, seed }: DailyChallenge,
+  difficulty: Difficulty = DEFAULT_DIFFICULTY
+): DailyConditions {
+  const setupRng = createSeededRng(deriveSeed(seed, "setup"));
+  const aimPath = rollAimPath(setupRng);
+  const modifier = rngPick(setupRng, DAILY_MODIFIERS);
+
+  function createRoundRngs(): RoundRngs {
+    return {
+      hit: createSeededRng(deriveSeed(seed, "hit")),
+      collision: createSeededRng(deriveSeed(seed, "collision")),
+      wire: createSeededRng(deriveSeed(seed, "wire")),
+    };
+  }
+
+  return {
+    dayKey,
+    seed,
+    modifier,
+    aimPath,
+    aim: scaleAim({ ...AIM_DISC_DEFAULTS, ...modifier.aim }, DIFFICULTY_PRESETS[difficulty].aimScale),
+    boardOverrides: { ...modifier.board },
+    createRoundRngs,
+  };
+}
+
+/**
+ * Offline / local dev fallback when /api/bootstrap isn't reachable: derived
+ * from the UTC date alone, so it is deterministic but predictable.
+ */
+export function createLocalDailyChallenge(
+  now: Date = new Date(),
+  difficulty: Difficulty = DEFAULT_DIFFICULTY
+): DailyConditions {
+  const dayKey = now.toISOString().slice(0, 10);
+  return createDailyChallenge({ dayKey, seed: deriveSeed(0, dayKey) }, difficulty);
+}
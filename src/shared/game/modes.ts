@@ -0,0 +1,45 @@
+import type { LeaderboardMode } from "../types/api";
+import { createClassicGame } from "./modes/classic";
+import { createX01Game } from "./modes/x01";
+import { createCricketGame } from "./modes/cricket";
+import { createAroundTheClockGame } from "./modes/aroundTheClock";
+import type { GameModeEngine, ModeOptions } from "./modes/types";
+
+export type { GameModeEngine, ModeResult, ScoredDart, ThrowOutcome } from "./modes/types";
+
+/**
+ * Selectable game modes, in the order the start overlay cycles through them.
+ * `id` doubles as the leaderboard mode sent to the server.
+ */
+export const GAME_MODES: { id: LeaderboardMode; label: string }[] = [
+  { id: "classic", label: "Classic" },
+  { id: "x01-501", label: "501" },
+  { id: "x01-301", label: "301" },
+  { id: "cricket", label: "Cricket" },
+  { id: "around-the-clock", label: "Around the Clock" },
+  { id: "around-the-clock-skip", label: "Clock (skips)" },
+];
+
+export const DEFAULT_GAME_MODE: LeaderboardMode = "classic";
+
+/**
+ * Create the rules engine for a mode id.
+ * `options.maxDarts` only applies to fixed-length modes (Classic).
+ */
+export function createGameMode(id: string, options: ModeOptions = {}): GameModeEngine {
+  switch (id) {
+    case "x01-301":
+      return createX01Game({ startScore: 301 });
+    case "x01-501":
+      return createX01Game({ startScore: 501 });
+    case "cricket":
+      return createCricketGame();
+    case "around-the-clock":
+      return createAroundTheClockGame();
+    case "around-the-clock-skip":
+      return createAroundTheClockGame({ skipOnMultiples: true });
+    case "classic":
+    default:
+      return createClassicGame(options);
+  }
+}
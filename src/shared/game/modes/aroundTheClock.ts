@@ -0,0 +1,135 @@
+/**
+ * aroundTheClock.ts
+ *
+ * Around-the-Clock practice:
+ * - Hit 1 through 20 in order, then the bull (SBULL or DBULL) to finish.
+ * - With `skipOnMultiples`, a double on the current target advances two
+ *   targets and a treble three (never past the bull).
+ * - Leaderboards rank by fewest darts used (lower is better).
+ *
+ * - No DOM
+ * - No Three.js
+ */
+
+import type { GameModeEngine, ModeOptions, ScoredDart, ThrowOutcome } from "./types";
+
+export type ClockTarget = number | "BULL";
+
+export type AroundTheClockOutcome = ThrowOutcome & {
+  hit: boolean;
+  target: ClockTarget | null;
+};
+
+export const AROUND_THE_CLOCK_TARGETS: readonly ClockTarget[] = [
+  ...Array.from({ length: 20 }, (_, i) => i + 1),
+  "BULL",
+];
+
+// Safety cap so an unlucky player can't be stuck in a round forever.
+const DEFAULT_MAX_DARTS = 99;
+
+function hitsTarget(scoreResult: ScoredDart, target: ClockTarget | undefined) {
+  if (target === "BULL") {
+    return scoreResult?.ring === "SBULL" || scoreResult?.ring === "DBULL";
+  }
+  return scoreResult?.wedge === target && (scoreResult?.mult ?? 0) > 0;
+}
+
+export function createAroundTheClockGame(
+  options: ModeOptions & { skipOnMultiples?: boolean } = {}
+): GameModeEngine<AroundTheClockOutcome> & {
+  skipOnMultiples: boolean;
+  getTarget: () => ClockTarget | null;
+} {
+  const skipOnMultiples = !!options.skipOnMultiples;
+  const maxDarts =
+    typeof options.maxDarts === "number" && options.maxDarts > 0
+      ? Math.trunc(options.maxDarts)
+      : DEFAULT_MAX_DARTS;
+
+  const lastIndex = AROUND_THE_CLOCK_TARGETS.length - 1;
+
+  let targetIndex = 0;
+  let dartsThrown = 0;
+  let finished = false;
+
+  function reset() {
+    targetIndex = 0;
+    dartsThrown = 0;
+    finished = false;
+  }
+
+  function isFinished() {
+    return finished || dartsThrown >= maxDarts;
+  }
+
+  /**
+   * Current target: 1..20, or "BULL". null once the round is won.
+   */
+  function getTarget() {
+    return finished ? null : (AROUND_THE_CLOCK_TARGETS[targetIndex] ?? null);
+  }
+
+  /**
+   * Apply one scored dart (result of scoreFromBoardXY).
+   */
+  function registerThrow(scoreResult: ScoredDart): AroundTheClockOutcome {
+    dartsThrown += 1;
+
+    const target = AROUND_THE_CLOCK_TARGETS[targetIndex];
+    const hit = !finished && hitsTarget(scoreResult, target);
+
+    if (hit) {
+      if (target === "BULL") {
+        finished = true;
+      } else {
+        const step = skipOnMultiples ? Math.max(1, scoreResult?.mult ?? 1) : 1;
+        targetIndex = Math.min(lastIndex, targetIndex + step);
+      }
+    }
+
+    return {
+      points: hit ? 1 : 0,
+      bust: false,
+      hit,
+      target: getTarget(),
+      roundOver: isFinished(),
+    };
+  }
+
+  function getHudState() {
+    const target = getTarget();
+    return {
+      dartsThrown,
+      totalScore: targetIndex,
+      scoreText: target === null ? "Done!" : `Target: ${target === "BULL" ? "Bull" : target}`,
+    };
+  }
+
+  function getResult() {
+    return {
+      completed: finished,
+      score: dartsThrown,
+      dartsThrown,
+      summaryText: finished
+        ? `Around the clock in ${dartsThrown} darts`
+        : `Reached ${AROUND_THE_CLOCK_TARGETS[targetIndex]}`,
+    };
+  }
+
+  return {
+    id: skipOnMultiples ? "around-the-clock-skip" : "around-the-clock",
+    label: skipOnMultiples ? "Clock (skips)" : "Around the Clock",
+    rankBy: "darts",
+    scoresVisits: false,
+    skipOnMultiples,
+    maxDarts: null,
+
+    reset,
+    registerThrow,
+    isFinished,
+    getTarget,
+    getHudState,
+    getResult,
+  };
+}
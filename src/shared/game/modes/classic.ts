@@ -0,0 +1,80 @@
+/**
+ * classic.ts
+ *
+ * The original Daily Darts round: a fixed number of darts, and the round score
+ * is simply the sum of every dart's points.
+ *
+ * - No DOM
+ * - No Three.js
+ */
+
+import type { GameModeEngine, ModeOptions, ScoredDart, ThrowOutcome } from "./types";
+
+export function createClassicGame(options: ModeOptions = {}): GameModeEngine {
+  const maxDarts =
+    typeof options.maxDarts === "number" && options.maxDarts > 0
+      ? Math.trunc(options.maxDarts)
+      : 10;
+
+  let dartsThrown = 0;
+  let totalScore = 0;
+
+  function reset() {
+    dartsThrown = 0;
+    totalScore = 0;
+  }
+
+  function isFinished() {
+    return dartsThrown >= maxDarts;
+  }
+
+  /**
+   * Apply one scored dart (result of scoreFromBoardXY).
+   */
+  function registerThrow(scoreResult: ScoredDart): ThrowOutcome {
+    const points = typeof scoreResult?.points === "number" ? scoreResult.points : 0;
+
+    dartsThrown += 1;
+    totalScore += points;
+
+    return {
+      points,
+      bust: false,
+      roundOver: isFinished(),
+    };
+  }
+
+  function getHudState() {
+    return {
+      dartsThrown,
+      totalScore,
+      scoreText: `Score: ${totalScore}`,
+    };
+  }
+
+  /**
+   * Leaderboard result. Classic rounds always count once all darts are thrown.
+   */
+  function getResult() {
+    return {
+      completed: isFinished(),
+      score: totalScore,
+      dartsThrown,
+      summaryText: `Score: ${totalScore}`,
+    };
+  }
+
+  return {
+    id: "classic",
+    label: "Classic",
+    rankBy: "points",
+    scoresVisits: true,
+    maxDarts,
+
+    reset,
+    registerThrow,
+    isFinished,
+    getHudState,
+    getResult,
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * cricket.ts
+ *
+ * Single-player Cricket:
+ * - Targets are 15–20 and the bull. Every other number is a dead dart.
+ * - Singles are 1 mark, doubles 2, trebles 3. SBULL is 1 bull mark, DBULL is 2.
+ * - A target is CLOSED at 3 marks. Marks beyond 3 on a closed target score
+ *   that target's value (bull = 25) per extra mark.
+ * - The round is a fixed number of darts, or ends early once every target is
+ *   closed. Leaderboards rank Cricket by points.
+ *
+ * - No DOM
+ * - No Three.js
+ */
+
+import type { GameModeEngine, ModeOptions, ScoredDart, ThrowOutcome } from "./types";
+
+export const CRICKET_TARGETS = [20, 19, 18, 17, 16, 15, "BULL"] as const;
+
+export type CricketTarget = (typeof CRICKET_TARGETS)[number];
+
+export type CricketOutcome = ThrowOutcome & {
+  marks: number;
+  closed: CricketTarget | null;
+};
+
+export type CricketBoardState = {
+  rows: { label: string; marks: number; closed: boolean }[];
+  points: number;
+  dartsThrown: number;
+  maxDarts: number;
+};
+
+const MARKS_TO_CLOSE = 3;
+const BULL_VALUE = 25;
+
+// Seven visits of three: enough to close the board with decent darts.
+const DEFAULT_MAX_DARTS = 21;
+
+function isCricketTarget(value: unknown): value is CricketTarget {
+  return CRICKET_TARGETS.some((t) => t === value);
+}
+
+/**
+ * Map a scoreFromBoardXY result to { target, marks }, or null for a dead dart.
+ */
+export function cricketMarksFromScore(
+  scoreResult: ScoredDart
+): { target: CricketTarget; marks: number } | null {
+  if (!scoreResult) return null;
+
+  if (scoreResult.ring === "DBULL") return { target: "BULL", marks: 2 };
+  if (scoreResult.ring === "SBULL") return { target: "BULL", marks: 1 };
+
+  const wedge = scoreResult.wedge;
+  const mult = scoreResult.mult;
+  if (typeof wedge !== "number" || !isCricketTarget(wedge)) return null;
+  if (typeof mult !== "number" || mult <= 0) return null;
+
+  return { target: wedge, marks: mult };
+}
+
+function targetValue(target: CricketTarget) {
+  return target === "BULL" ? BULL_VALUE : target;
+}
+
+export function createCricketGame(
+  options: ModeOptions = {}
+): GameModeEngine<CricketOutcome> & { getBoardState: () => CricketBoardState } {
+  const maxDarts =
+    typeof options.maxDarts === "number" && options.maxDarts > 0
+      ? Math.trunc(options.maxDarts)
+      : DEFAULT_MAX_DARTS;
+
+  const marks = new Map<CricketTarget, number>();
+  let points = 0;
+  let dartsThrown = 0;
+
+  function reset() {
+    marks.clear();
+    for (const t of CRICKET_TARGETS) marks.set(t, 0);
+    points = 0;
+    dartsThrown = 0;
+  }
+
+  function isClosed(target: CricketTarget) {
+    return (marks.get(target) ?? 0) >= MARKS_TO_CLOSE;
+  }
+
+  function allClosed() {
+    return CRICKET_TARGETS.every(isClosed);
+  }
+
+  function isFinished() {
+    return dartsThrown >= maxDarts || allClosed();
+  }
+
+  /**
+   * Apply one scored dart (result of scoreFromBoardXY).
+   */
+  function registerThrow(scoreResult: ScoredDart): CricketOutcome {
+    dartsThrown += 1;
+
+    const hit = cricketMarksFromScore(scoreResult);
+    let scored = 0;
+    let closedNow: CricketTarget | null = null;
+
+    if (hit) {
+      const before = marks.get(hit.target) ?? 0;
+      const after = before + hit.marks;
+      const extra = Math.max(0, after - Math.max(before, MARKS_TO_CLOSE));
+
+      marks.set(hit.target, after);
+      scored = extra * targetValue(hit.target);
+      points += scored;
+
+      if (before < MARKS_TO_CLOSE && after >= MARKS_TO_CLOSE) {
+        closedNow = hit.target;
+      }
+    }
+
+    return {
+      points: scored,
+      bust: false,
+      marks: hit ? hit.marks : 0,
+      closed: closedNow,
+      roundOver: isFinished(),
+    };
+  }
+
+  /**
+   * Scoreboard rows for the chalkboard grid (marks capped at 3 for display).
+   */
+  function getBoardState() {
+    return {
+      rows: CRICKET_TARGETS.map((target) => ({
+        label: target === "BULL" ? "B" : `${target}`,
+        marks: Math.min(marks.get(target) ?? 0, MARKS_TO_CLOSE),
+        closed: isClosed(target),
+      })),
+      points,
+      dartsThrown,
+      maxDarts,
+    };
+  }
+
+  function getHudState() {
+    const closedCount = CRICKET_TARGETS.filter(isClosed).length;
+    return {
+      dartsThrown,
+      totalScore: points,
+      scoreText: `Points: ${points} · ${closedCount}/${CRICKET_TARGETS.length} closed`,
+    };
+  }
+
+  function getResult() {
+    return {
+      completed: isFinished(),
+      score: points,
+      dartsThrown,
+      summaryText: allClosed()
+        ? `All closed · ${points} points`
+        : `Points: ${points}`,
+    };
+  }
+
+  reset();
+
+  return {
+    id: "cricket",
+    label: "Cricket",
+    rankBy: "points",
+    scoresVisits: false,
+    maxDarts,
+
+    reset,
+    registerThrow,
+    isFinished,
+    getHudState,
+    getBoardState,
+    getResult,
+  };
+}
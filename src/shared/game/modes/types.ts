@@ -0,0 +1,48 @@
+import type { LeaderboardMode } from "../../types/api";
+import type { ScoreResult } from "../scoring";
+
+/** What a mode needs to know about a dart: the scoreFromBoardXY result. */
+export type ScoredDart = Partial<Pick<ScoreResult, "points" | "ring" | "wedge" | "mult">> | null | undefined;
+
+export type ThrowOutcome = {
+  points: number;
+  bust: boolean;
+  roundOver: boolean;
+};
+
+export type ModeHudState = {
+  dartsThrown: number;
+  totalScore: number;
+  scoreText: string;
+};
+
+/** Leaderboard result. `score` is points or darts used, depending on rankBy. */
+export type ModeResult = {
+  completed: boolean;
+  score: number;
+  dartsThrown: number;
+  summaryText: string;
+};
+
+/**
+ * Rules engine for one round. Pure: no DOM, no Three.js, so the server can
+ * replay a submitted throw log through the exact same rules.
+ */
+export type GameModeEngine<Outcome extends ThrowOutcome = ThrowOutcome> = {
+  id: LeaderboardMode;
+  label: string;
+  rankBy: "points" | "darts";
+  /** Whether a visit's points total means anything (and is worth celebrating). */
+  scoresVisits: boolean;
+  maxDarts: number | null;
+
+  reset: () => void;
+  registerThrow: (scoreResult: ScoredDart) => Outcome;
+  isFinished: () => boolean;
+  getHudState: () => ModeHudState;
+  getResult: () => ModeResult;
+};
+
+export type ModeOptions = {
+  maxDarts?: number;
+};
@@ -0,0 +1,142 @@
+/**
+ * x01.ts
+ *
+ * X01 rules (301 / 501) with double-out:
+ * - Every dart's points are subtracted from the remaining total.
+ * - The round is won by reaching exactly 0 with a double (or DBULL).
+ * - A dart that takes the total below 0, leaves exactly 1, or reaches 0 without
+ *   a double is a BUST: the total reverts to what it was at the start of the
+ *   visit and the rest of that visit is forfeited.
+ *
+ * - No DOM
+ * - No Three.js
+ *
+ * Leaderboards rank X01 by fewest darts to finish (lower is better).
+ */
+
+import type { GameModeEngine, ModeOptions, ScoredDart, ThrowOutcome } from "./types";
+
+export const X01_START_SCORES = [301, 501] as const;
+
+export type X01StartScore = (typeof X01_START_SCORES)[number];
+
+export type X01Outcome = ThrowOutcome & {
+  visitComplete: boolean;
+  remaining: number;
+};
+
+const DARTS_PER_VISIT = 3;
+
+// Safety cap so an unlucky player can't be stuck in a round forever.
+const DEFAULT_MAX_DARTS = 99;
+
+function isDoubleOut(scoreResult: ScoredDart) {
+  return scoreResult?.ring === "DOUBLE" || scoreResult?.ring === "DBULL";
+}
+
+function isStartScore(value: unknown): value is X01StartScore {
+  return X01_START_SCORES.some((s) => s === value);
+}
+
+export function createX01Game(
+  options: ModeOptions & { startScore?: number } = {}
+): GameModeEngine<X01Outcome> & { startScore: X01StartScore } {
+  const startScore: X01StartScore = isStartScore(options.startScore) ? options.startScore : 501;
+
+  const maxDarts =
+    typeof options.maxDarts === "number" && options.maxDarts > 0
+      ? Math.trunc(options.maxDarts)
+      : DEFAULT_MAX_DARTS;
+
+  let remaining: number = startScore;
+  let visitStartRemaining: number = startScore;
+  let dartsInVisit = 0;
+  let dartsThrown = 0;
+  let finished = false;
+
+  function reset() {
+    remaining = startScore;
+    visitStartRemaining = startScore;
+    dartsInVisit = 0;
+    dartsThrown = 0;
+    finished = false;
+  }
+
+  function isFinished() {
+    return finished || dartsThrown >= maxDarts;
+  }
+
+  function endVisit() {
+    visitStartRemaining = remaining;
+    dartsInVisit = 0;
+  }
+
+  /**
+   * Apply one scored dart (result of scoreFromBoardXY).
+   */
+  function registerThrow(scoreResult: ScoredDart): X01Outcome {
+    const points = typeof scoreResult?.points === "number" ? scoreResult.points : 0;
+
+    dartsThrown += 1;
+    dartsInVisit += 1;
+
+    const next = remaining - points;
+    const bust = next < 0 || next === 1 || (next === 0 && !isDoubleOut(scoreResult));
+
+    if (bust) {
+      remaining = visitStartRemaining;
+      endVisit();
+    } else {
+      remaining = next;
+      if (remaining === 0) {
+        finished = true;
+        endVisit();
+      } else if (dartsInVisit >= DARTS_PER_VISIT) {
+        endVisit();
+      }
+    }
+
+    return {
+      points: bust ? 0 : points,
+      bust,
+      visitComplete: dartsInVisit === 0,
+      remaining,
+      roundOver: isFinished(),
+    };
+  }
+
+  function getHudState() {
+    return {
+      dartsThrown,
+      totalScore: remaining,
+      scoreText: `Left: ${remaining}`,
+    };
+  }
+
+  /**
+   * Leaderboard result. Only a checkout counts; the score is the dart count.
+   */
+  function getResult() {
+    return {
+      completed: finished,
+      score: dartsThrown,
+      dartsThrown,
+      summaryText: finished ? `Checked out in ${dartsThrown} darts` : `${remaining} left`,
+    };
+  }
+
+  return {
+    id: `x01-${startScore}`,
+    label: `${startScore}`,
+    rankBy: "darts",
+    scoresVisits: true,
+    startScore,
+    maxDarts: null,
+
+    reset,
+    registerThrow,
+    isFinished,
+    getHudState,
+    getResult,
+  };
+}
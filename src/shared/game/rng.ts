@@ -0,0 +1,51 @@
+/**
+ * rng.ts
+ *
+ * Small seeded PRNG helpers, shared by the client and the server so a day's
+ * seed plays out identically on both.
+ *
+ * Every rng here is a function () => number in [0, 1), so it can stand in for
+ * Math.random anywhere (e.g. collisions.ts `opts.rng`).
+ */
+
+export type Rng = () => number;
+
+/**
+ * mulberry32: tiny, fast, and good enough for gameplay randomness.
+ * Same seed => same sequence on every device.
+ */
+export function createSeededRng(seed: number): Rng {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * FNV-1a over a string, mixed into `seed`. Use it to split one seed into
+ * independent named streams ("hit", "collision", ...) so consuming one
+ * stream never shifts another.
+ */
+export function deriveSeed(seed: number, salt = ""): number {
+  let h = (0x811c9dc5 ^ (seed >>> 0)) >>> 0;
+  const text = String(salt);
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
+/** Uniform float in [min, max). */
+export function rngRange(rng: Rng, min: number, max: number): number {
+  return min + rng() * (max - min);
+}
+
+/** Uniform pick from a non-empty array. */
+export function rngPick<T>(rng: Rng, items: readonly [T, ...T[]]): T {
+  return items[Math.floor(rng() * items.length) % items.length] ?? items[0];
+}
@@ -1,7 +1,8 @@
 /**
- * scoring.js
+ * scoring.ts
  *
- * Pure scoring logic for a standard dartboard.
+ * Pure scoring logic for a standard dartboard, shared by the client (live
+ * scoring) and the server (re-scoring submitted throw logs).
  * - No DOM
  * - No Three.js
  *
@@ -9,38 +10,9 @@
  *   x, y: hit position in BOARD-LOCAL coordinates on the dartboard face plane,
  *         where +x is right, +y is up, origin at the board center.
  *
- * Expected config (created in board.js):
- *   scoringConfig = {
- *     segments: 20,
- *     wedgeAngle: 2π/20,
+ * The config comes from board.ts createBoardScoringConfig(); see ScoringConfig.
  *
- *     // IMPORTANT: this is the CENTER angle of wedge 0 (20) in math coords
- *     startAngle: number,
- *
- *     // "ccw" or "cw" direction of index progression with angle
- *     direction: "ccw" | "cw",
- *
- *     // optional rotation applied to theta before wedge mapping
- *     angleOffset: number,
- *
- *     numbers: number[20],
- *
- *     ringRatios: {
- *       outer,
- *       doubleInner, doubleOuter,
- *       tripleInner, tripleOuter,
- *       bullOuter, dbullOuter
- *     },
- *
- *     ringEpsN: number (optional) // normalized epsilon tolerance for rings
- *     points: { bull:25, dbull:50 }
- *
- *     // NOTE: boardRadius is NOT included by default in board.js,
- *     // but the caller should pass it in:
- *     // scoreFromBoardXY(x, y, { ...board.userData.scoring, boardRadius: board.userData.boardRadius })
- *   }
- *
- * Returns:
+ * Returns (ScoreResult):
  *   {
  *     points: number,
  *     label: string,      // "T20", "D16", "S5", "SBULL", "DBULL", "MISS"
@@ -54,15 +26,74 @@
  *   }
  */
 
-function normAngle0To2Pi(a) {
+export type RingRatios = {
+  outer: number;
+  doubleInner: number;
+  doubleOuter: number;
+  tripleInner: number;
+  tripleOuter: number;
+  bullOuter: number;
+  dbullOuter: number;
+};
+
+export type ScoringConfig = {
+  segments: number;
+  wedgeAngle: number;
+
+  // IMPORTANT: this is the CENTER angle of wedge 0 (20) in math coords
+  startAngle: number;
+
+  // "ccw" or "cw" direction of index progression with angle
+  direction: "ccw" | "cw";
+
+  // optional rotation applied to theta before wedge mapping
+  angleOffset?: number;
+
+  numbers: number[];
+  faceOuterPx?: number;
+  ringRatios: RingRatios;
+
+  // normalized epsilon tolerance for rings
+  ringEpsN?: number;
+
+  // optional spider wires (see wireHitFromBoardXY)
+  wires?: { ringRatios: number[]; radialInner: number; radialOuter: number };
+  wireTolN?: number; // normalized distance that counts as "on the wire"
+  wireBounceChance?: number; // 0..1 chance a wire hit bounces out
+
+  points?: { bull?: number; dbull?: number };
+
+  boardRadius?: number;
+};
+
+export type Ring = "MISS" | "DBULL" | "SBULL" | "DOUBLE" | "TRIPLE" | "SINGLE";
+
+export type ScoreResult = {
+  points: number;
+  label: string;
+  wedge: number | null;
+  wedgeIndex: number | null;
+  mult: number;
+  ring: Ring;
+  angle: number;
+  radius: number;
+  rNorm: number;
+};
+
+export type WireHit = {
+  wire: "ring" | "radial";
+  distN: number;
+};
+
+function normAngle0To2Pi(a: number): number {
   const TWO_PI = Math.PI * 2;
   let x = a % TWO_PI;
   if (x < 0) x += TWO_PI;
   return x;
 }
 
-function getRingEpsN(scoringConfig) {
-  const v = scoringConfig?.ringEpsN;
+function getRingEpsN(scoringConfig: ScoringConfig): number {
+  const v = scoringConfig.ringEpsN;
   if (typeof v === "number" && Number.isFinite(v) && v >= 0) return v;
   return 0.01; // default tolerance
 }
@@ -75,7 +106,7 @@ function getRingEpsN(scoringConfig) {
  * We compute delta from that center angle, in the configured direction, and round
  * to the nearest wedge by adding wedgeAngle/2 before floor().
  */
-function wedgeIndexFromAngle(theta, scoringConfig) {
+function wedgeIndexFromAngle(theta: number, scoringConfig: ScoringConfig): number {
   const wedgeAngle = scoringConfig.wedgeAngle;
   const startAngleCenter = scoringConfig.startAngle;
 
@@ -103,7 +134,10 @@ function wedgeIndexFromAngle(theta, scoringConfig) {
  * rNorm = r / boardRadius (or r if boardRadius not provided)
  * Adds epsilon tolerance to reduce "barely in band" misses.
  */
-function ringFromRadiusRatio(rNorm, scoringConfig) {
+function ringFromRadiusRatio(
+  rNorm: number,
+  scoringConfig: ScoringConfig
+): { ring: Ring; mult: number } {
   const rr = scoringConfig.ringRatios;
   const eps = getRingEpsN(scoringConfig);
 
@@ -134,23 +168,35 @@ function ringFromRadiusRatio(rNorm, scoringConfig) {
   return { ring: "SINGLE", mult: 1 };
 }
 
+/**
+ * A dart that never reached the board face (bounce-out, Robin Hood...).
+ * Same shape as a scoreFromBoardXY MISS, with a descriptive label.
+ */
+export function nonScoringResult(label = "MISS"): ScoreResult {
+  return {
+    points: 0,
+    label,
+    wedge: null,
+    wedgeIndex: null,
+    mult: 0,
+    ring: "MISS",
+    angle: 0,
+    radius: 0,
+    rNorm: 0,
+  };
+}
+
 /**
  * Main API: score a hit at (x, y).
  */
-export function scoreFromBoardXY(x, y, scoringConfig) {
-  // Defensive checks
+export function scoreFromBoardXY(
+  x: number,
+  y: number,
+  scoringConfig: ScoringConfig | null | undefined
+): ScoreResult {
+  // Defensive checks (plain JS callers can hand us anything)
   if (!scoringConfig || typeof scoringConfig !== "object") {
-    return {
-      points: 0,
-      label: "MISS",
-      wedge: null,
-      wedgeIndex: null,
-      mult: 0,
-      ring: "MISS",
-      angle: 0,
-      radius: 0,
-      rNorm: 0,
-    };
+    return nonScoringResult();
   }
 
   const numbers = Array.isArray(scoringConfig.numbers) ? scoringConfig.numbers : null;
@@ -159,17 +205,7 @@ export function scoreFromBoardXY(x, y, scoringConfig) {
   const startAngle = scoringConfig.startAngle;
 
   if (!numbers || numbers.length !== 20 || !rr || typeof wedgeAngle !== "number" || typeof startAngle !== "number") {
-    return {
-      points: 0,
-      label: "MISS",
-      wedge: null,
-      wedgeIndex: null,
-      mult: 0,
-      ring: "MISS",
-      angle: 0,
-      radius: 0,
-      rNorm: 0,
-    };
+    return nonScoringResult();
   }
 
   const boardRadiusRaw = scoringConfig.boardRadius;
@@ -215,17 +251,7 @@ export function scoreFromBoardXY(x, y, scoringConfig) {
 
   // Miss
   if (ringInfo.ring === "MISS") {
-    return {
-      points: 0,
-      label: "MISS",
-      wedge: null,
-      wedgeIndex: null,
-      mult: 0,
-      ring: "MISS",
-      angle: 0,
-      radius: r,
-      rNorm,
-    };
+    return { ...nonScoringResult(), radius: r, rNorm };
   }
 
   // Angle-based wedge scoring
@@ -257,11 +283,68 @@ export function scoreFromBoardXY(x, y, scoringConfig) {
   };
 }
 
+/**
+ * Is (x, y) on a spider wire? Optional: returns null when the config has no
+ * `wires`. Works in normalized radius, like ringFromRadiusRatio.
+ *
+ * Returns null or { wire: "ring" | "radial", distN } where distN is the
+ * normalized distance from the wire's center line.
+ */
+export function wireHitFromBoardXY(
+  x: number,
+  y: number,
+  scoringConfig: ScoringConfig | null | undefined
+): WireHit | null {
+  const wires = scoringConfig?.wires;
+  const boardRadius = scoringConfig?.boardRadius;
+  if (!scoringConfig || !wires || typeof boardRadius !== "number" || !(boardRadius > 0)) {
+    return null;
+  }
+
+  const tol =
+    typeof scoringConfig.wireTolN === "number" && scoringConfig.wireTolN >= 0
+      ? scoringConfig.wireTolN
+      : 0.004;
+
+  const rNorm = Math.sqrt(x * x + y * y) / boardRadius;
+
+  // Ring wires
+  let best: WireHit | null = null;
+  for (const ratio of Array.isArray(wires.ringRatios) ? wires.ringRatios : []) {
+    const distN = Math.abs(rNorm - ratio);
+    if (distN <= tol && (!best || distN < best.distN)) {
+      best = { wire: "ring", distN };
+    }
+  }
+
+  // Radial wires sit on wedge boundaries: half a wedge either side of each center.
+  const wedgeAngle = scoringConfig.wedgeAngle;
+  if (
+    typeof wedgeAngle === "number" &&
+    typeof scoringConfig.startAngle === "number" &&
+    rNorm >= wires.radialInner &&
+    rNorm <= wires.radialOuter
+  ) {
+    const angleOffset =
+      typeof scoringConfig.angleOffset === "number" ? scoringConfig.angleOffset : 0;
+    const a = normAngle0To2Pi(
+      Math.atan2(y, x) + angleOffset - scoringConfig.startAngle - wedgeAngle / 2
+    );
+    const fromBoundary = Math.min(a % wedgeAngle, wedgeAngle - (a % wedgeAngle));
+    const distN = rNorm * Math.sin(fromBoundary);
+    if (distN <= tol && (!best || distN < best.distN)) {
+      best = { wire: "radial", distN };
+    }
+  }
+
+  return best;
+}
+
 /**
  * Convenience helper to format a "Last hit" string for HUD use.
  * Example: "T20 (+60)", "DBULL (+50)", "MISS (+0)"
  */
-export function formatHitForHud(scoreResult) {
+export function formatHitForHud(scoreResult: Partial<ScoreResult> | null | undefined): string {
   if (!scoreResult || typeof scoreResult !== "object") return "—";
 
   const label = typeof scoreResult.label === "string" ? scoreResult.label : "—";
@@ -278,32 +361,34 @@ export function formatHitForHud(scoreResult) {
  * Small helper: validate that scoring config looks sane.
  * Useful for debugging / logging once during startup.
  */
-export function validateScoringConfig(scoringConfig) {
-  const errs = [];
+export function validateScoringConfig(scoringConfig: unknown): { ok: boolean; errors: string[] } {
+  const errs: string[] = [];
 
   if (!scoringConfig || typeof scoringConfig !== "object") {
     errs.push("scoringConfig missing or not an object");
     return { ok: false, errors: errs };
   }
 
-  if (!Array.isArray(scoringConfig.numbers) || scoringConfig.numbers.length !== 20) {
+  const cfg = scoringConfig as Partial<Record<keyof ScoringConfig, unknown>>;
+
+  if (!Array.isArray(cfg.numbers) || cfg.numbers.length !== 20) {
     errs.push("scoringConfig.numbers must be an array of length 20");
   }
 
-  if (typeof scoringConfig.startAngle !== "number") {
+  if (typeof cfg.startAngle !== "number") {
     errs.push("scoringConfig.startAngle (center angle) must be a number");
   }
 
-  if (typeof scoringConfig.wedgeAngle !== "number") {
+  if (typeof cfg.wedgeAngle !== "number") {
     errs.push("scoringConfig.wedgeAngle must be a number");
   }
 
-  const dir = scoringConfig.direction;
+  const dir = cfg.direction;
   if (dir !== "ccw" && dir !== "cw") {
     errs.push('scoringConfig.direction must be "ccw" or "cw"');
   }
 
-  const rr = scoringConfig.ringRatios;
+  const rr = cfg.ringRatios as Record<string, unknown> | undefined;
   if (!rr || typeof rr !== "object") {
     errs.push("scoringConfig.ringRatios missing");
   } else {
@@ -321,7 +406,7 @@ export function validateScoringConfig(scoringConfig) {
     }
   }
 
-  const eps = scoringConfig.ringEpsN;
+  const eps = cfg.ringEpsN;
   if (eps !== undefined && !(typeof eps === "number" && Number.isFinite(eps) && eps >= 0)) {
     errs.push("scoringConfig.ringEpsN must be a finite number >= 0 if provided");
   }
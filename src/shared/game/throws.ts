@@ -0,0 +1,178 @@
+/**
+ * throws.ts
+ *
+ * Everything between "the player let go of the aim disc" and "the dart has a
+ * score", shared so the server can replay a submitted throw log exactly the
+ * way the client played it:
+ *   - the disc's wander along the day's aim path, its radius from hold time,
+ *     and the landing point sampled inside it
+ *   - dart-on-dart collisions (collisions.ts) and spider-wire bounce-outs
+ *   - scoring the final landing spot (scoring.ts)
+ *   - when a three-dart visit ends (stuck darts are pulled between visits)
+ *
+ * - No DOM
+ * - No Three.js
+ */
+
+import type { AimPath, AimSettings, RoundRngs } from "./daily";
+import { resolveDartCollision, type BoardPoint, type CollisionKind } from "./collisions";
+import type { Rng } from "./rng";
+import {
+  nonScoringResult,
+  scoreFromBoardXY,
+  wireHitFromBoardXY,
+  type ScoreResult,
+  type ScoringConfig,
+  type WireHit,
+} from "./scoring";
+import type { ThrowOutcome } from "./modes";
+
+export const DARTS_PER_VISIT = 3;
+
+// The disc center keeps this far inside the rim (world units).
+export const AIM_CENTER_MARGIN = 0.02;
+
+export type ResolvedThrow = {
+  kind: CollisionKind;
+  x: number;
+  y: number;
+  againstIndex: number | null;
+  wire: WireHit["wire"] | null;
+  scoreResult: ScoreResult;
+};
+
+function clamp01(t: number) {
+  return Math.max(0, Math.min(1, t));
+}
+
+/** Disc radius after holding for `holdTime` seconds (shrinks linearly). */
+export function discRadiusForHold(holdTime: number, aim: AimSettings): number {
+  const p = clamp01(holdTime / aim.shrinkTime);
+  return aim.maxRadius + (aim.minRadius - aim.maxRadius) * p;
+}
+
+/** How far from the board center the disc center may wander. */
+export function maxDiscCenterDistance(boardRadius: number, discRadius: number): number {
+  return Math.max(0.001, boardRadius - discRadius - AIM_CENTER_MARGIN);
+}
+
+/**
+ * Where the disc center is `t` seconds into the round's path clock while the
+ * player isn't holding. Holding freezes the center, so a dart released at
+ * clock time T after holding for H seconds was aimed at aimCenterAt(T - H).
+ */
+export function aimCenterAt(
+  t: number,
+  path: AimPath,
+  aim: Pick<AimSettings, "speed" | "maxRadius">,
+  boardRadius: number
+): { x: number; y: number } {
+  const pt = t * aim.speed;
+  const { w1, w2, w3, w4, p1, p2, p3, p4 } = path;
+
+  // The path reaches most of the way to the rim so doubles are in play.
+  const base = boardRadius * 0.82;
+  const x = base * (0.65 * Math.sin(pt * w1 + p1) + 0.35 * Math.sin(pt * w2 + p2));
+  const y = base * (0.65 * Math.cos(pt * w3 + p3) + 0.35 * Math.sin(pt * w4 + p4));
+
+  const limit = maxDiscCenterDistance(boardRadius, aim.maxRadius);
+  const len = Math.hypot(x, y);
+  return len > limit ? { x: (x * limit) / len, y: (y * limit) / len } : { x, y };
+}
+
+/**
+ * Sample a landing point uniformly inside the disc. Consumes exactly two
+ * values from `rng`, which is what lets the server re-derive the hit.
+ */
+export function sampleHitInDisc(
+  rng: Rng,
+  centerX: number,
+  centerY: number,
+  radius: number
+): { hitX: number; hitY: number } {
+  const angle = rng() * Math.PI * 2;
+  const r = Math.sqrt(rng()) * radius;
+  return {
+    hitX: centerX + Math.cos(angle) * r,
+    hitY: centerY + Math.sin(angle) * r,
+  };
+}
+
+/** A visit ends after three darts, on a bust, or when the mode says so. */
+export function isVisitOver(
+  dartsInVisit: number,
+  outcome: ThrowOutcome & { visitComplete?: boolean }
+): boolean {
+  return (
+    dartsInVisit >= DARTS_PER_VISIT || outcome.bust || !!outcome.visitComplete || outcome.roundOver
+  );
+}
+
+/**
+ * Resolves sampled hits into final landings + scores, tracking the darts
+ * currently stuck in the board. Call startVisit() when a new visit begins.
+ *
+ * options.wireBounceOuts: darts that land on the spider can bounce out.
+ */
+export function createThrowResolver({
+  scoringConfig,
+  rngs,
+  wireBounceOuts = true,
+}: {
+  scoringConfig: ScoringConfig;
+  rngs: Pick<RoundRngs, "collision" | "wire">;
+  wireBounceOuts?: boolean;
+}) {
+  let boardDarts: BoardPoint[] = [];
+
+  function startVisit() {
+    boardDarts = [];
+  }
+
+  function resolve(hitX: number, hitY: number): ResolvedThrow {
+    // Darts already in the board can deflect this one, bounce it out, or catch
+    // it (Robin Hood).
+    const collision = resolveDartCollision(hitX, hitY, boardDarts, { rng: rngs.collision });
+
+    let kind = collision.kind;
+    let wire: ResolvedThrow["wire"] = null;
+
+    // A dart that still reaches the face can catch a wire and bounce out.
+    if (wireBounceOuts && (kind === "clean" || kind === "deflected")) {
+      const wireHit = wireHitFromBoardXY(collision.x, collision.y, scoringConfig);
+      const chance = scoringConfig.wireBounceChance ?? 0;
+      if (wireHit && rngs.wire() < chance) {
+        kind = "bounce-out";
+        wire = wireHit.wire;
+      }
+    }
+
+    let scoreResult: ScoreResult;
+    if (kind === "bounce-out") {
+      scoreResult = nonScoringResult("BOUNCE OUT");
+    } else if (kind === "robin-hood") {
+      scoreResult = nonScoringResult("ROBIN HOOD");
+    } else {
+      scoreResult = scoreFromBoardXY(collision.x, collision.y, scoringConfig);
+    }
+
+    if (kind !== "bounce-out") {
+      boardDarts.push({ x: collision.x, y: collision.y });
+    }
+
+    return {
+      kind,
+      x: collision.x,
+      y: collision.y,
+      againstIndex: collision.againstIndex,
+      wire,
+      scoreResult,
+    };
+  }
+
+  return {
+    startVisit,
+    resolve,
+    getBoardDarts: () => boardDarts.slice(),
+  };
+}
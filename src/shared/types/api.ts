@@ -1,22 +1,53 @@
-export type InitResponse = {
-  type: "init";
-  postId: string;
-  count: number;
-  username: string;
+/**
+ * Everyone playing on the same UTC day gets the same seed, so the aim disc path,
+ * landing spread and the day's modifier are identical for the whole leaderboard.
+ */
+export type DailyChallenge = {
+  dayKey: string;
+  seed: number;
 };
 
-export type IncrementResponse = {
-  type: "increment";
-  postId: string;
-  count: number;
+/** Consecutive UTC days with at least one submitted round. */
+export type PlayerStreak = {
+  /** 0 once a whole day has been missed. */
+  current: number;
+  best: number;
+  playedToday: boolean;
 };
 
-export type DecrementResponse = {
-  type: "decrement";
-  postId: string;
-  count: number;
+/**
+ * Each game mode has its own leaderboard. Classic and Cricket rank by points
+ * (higher is better); X01 and Around-the-Clock rank by darts used (lower is better).
+ */
+export type LeaderboardMode =
+  | "classic"
+  | "x01-301"
+  | "x01-501"
+  | "cricket"
+  | "around-the-clock"
+  | "around-the-clock-skip";
+
+/** Aim disc presets; see DIFFICULTY_PRESETS in shared/game/daily.ts. */
+export type Difficulty = "relaxed" | "standard" | "pro";
+
+/** A daily post only ranks today's rounds; a permanent one keeps every board. */
+export type PostLeaderboard = "daily" | "permanent";
+
+/** How a post plays. Every player on the post gets the same config. */
+export type GameConfig = {
+  /** The only mode the post ranks (posts without a stored config accept any). */
+  mode: LeaderboardMode;
+  /** Round length for fixed-length modes (Classic). */
+  dartsPerRound: number;
+  difficulty: Difficulty;
+  /** Whether darts that catch a wire can bounce out (board.ts wireBounceChance). */
+  wireBounceOuts: boolean;
+  leaderboard: PostLeaderboard;
 };
 
+/** Boards roll over per UTC day and per ISO week; all-time never resets. */
+export type LeaderboardPeriod = "daily" | "weekly" | "all-time";
+
 export type LeaderboardEntry = {
   userId: string;
   score: number;
@@ -25,28 +56,282 @@ export type LeaderboardEntry = {
   metadata?: Record<string, string>;
 };
 
-export type LeaderboardSubmitRequest = {
+/**
+ * One dart as the client threw it: where the aim disc was, how big it was
+ * (and how long it was held to get there), and the sampled landing point
+ * before any collisions. The server replays these to score the round itself.
+ */
+export type ThrowLogEntry = {
+  centerX: number;
+  centerY: number;
+  radius: number;
+  holdTime: number;
+  /** The round's aim-path clock (seconds) when the dart was released. */
+  releaseTime: number;
+  hitX: number;
+  hitY: number;
+};
+
+export type RoundLog = {
+  roundId: string;
+  dayKey: string;
+  seed: number;
+  throws: ThrowLogEntry[];
+};
+
+/** Who the server says is playing; null for logged-out viewers. */
+export type LeaderboardCaller = {
   userId: string;
+  username: string;
+};
+
+export type LeaderboardSubmitRequest = {
+  /**
+   * Optional and never trusted: the player comes from the server context. If
+   * present it must match, otherwise the request is rejected as spoofed.
+   */
+  userId?: string;
+  /** The client's own total; the server rejects the round if its replay disagrees. */
   score: number;
+  mode?: LeaderboardMode;
+  /** Which board `top` / `callerRank` come back for (default all-time). */
+  period?: LeaderboardPeriod;
   limit?: number;
   metadata?: Record<string, string>;
+  round: RoundLog;
 };
 
 export type LeaderboardSubmitResponse = {
   type: "leaderboard-submit";
   postId: string;
+  mode: LeaderboardMode;
+  period: LeaderboardPeriod;
+  /** The score the server computed and stored. */
+  score: number;
+  /** false for logged-out players: their rounds are stored but never ranked. */
+  ranked: boolean;
+  caller: LeaderboardCaller | null;
+  /** Updated streak; `milestone` is set when this round reached one. */
+  streak: (PlayerStreak & { milestone: number | null }) | null;
+  /** Achievement ids this round unlocked for the first time. */
+  unlockedAchievements: string[];
   top: LeaderboardEntry[];
   callerRank: number | null;
 };
 
 export type LeaderboardFetchRequest = {
-  userId: string;
+  /** Optional; see LeaderboardSubmitRequest.userId. */
+  userId?: string;
+  mode?: LeaderboardMode;
+  /** Default all-time. */
+  period?: LeaderboardPeriod;
   limit?: number;
+  /** Continue from a previous response's nextCursor instead of the top. */
+  cursor?: string;
+  /** Also return this many entries above and below the caller (max 25). */
+  around?: number;
 };
 
 export type LeaderboardFetchResponse = {
   type: "leaderboard-fetch";
   postId: string;
+  mode: LeaderboardMode;
+  period: LeaderboardPeriod;
+  caller: LeaderboardCaller | null;
+  /** The requested page: the top of the board, or the page at `cursor`. */
   top: LeaderboardEntry[];
   callerRank: number | null;
+  /** Pass back as `cursor` for the next page; null at the bottom of the board. */
+  nextCursor: string | null;
+  /** The caller's neighbourhood when `around` was requested (empty if unranked). */
+  around: LeaderboardEntry[];
+};
+
+export type ScoreDistributionBucket = {
+  /** Inclusive score range. */
+  min: number;
+  max: number;
+  count: number;
+};
+
+export type ScoreDistribution = {
+  totalPlayers: number;
+  callerRank: number | null;
+  callerScore: number | null;
+  /** Share of the other players the caller beat, 0-100; null if unranked or alone. */
+  percentile: number | null;
+  /** Modes ranked by darts: the left end of the histogram is the good end. */
+  lowerIsBetter: boolean;
+  /** Lowest scores first. */
+  buckets: ScoreDistributionBucket[];
+  callerBucket: number | null;
+};
+
+export type LeaderboardDistributionRequest = {
+  mode?: LeaderboardMode;
+  /** Default all-time (the whole post); "daily" for today only. */
+  period?: LeaderboardPeriod;
+  /** Histogram resolution, 1-30 (default 10). */
+  buckets?: number;
+};
+
+export type LeaderboardDistributionResponse = ScoreDistribution & {
+  type: "leaderboard-distribution";
+  postId: string;
+  mode: LeaderboardMode;
+  period: LeaderboardPeriod;
+};
+
+export type PlayerNumberStats = {
+  number: number;
+  /** Darts that landed in this number, any ring. */
+  hits: number;
+  /** Share of all darts thrown that landed in this number (hits / darts), 0-1. */
+  dartShare: number;
+};
+
+/** Lifetime totals from every ranked round the server has replayed. */
+export type PlayerStats = {
+  roundsPlayed: number;
+  dartsThrown: number;
+  totalPoints: number;
+  averagePerDart: number;
+  /** Best round per mode (points, or darts for modes ranked by darts). */
+  bestRounds: Partial<Record<LeaderboardMode, number>>;
+  trebles: number;
+  doubles: number;
+  /** Outer and inner bull. */
+  bulls: number;
+  /** Misses, bounce-outs and Robin Hoods. */
+  misses: number;
+  missRate: number;
+  numbers: PlayerNumberStats[];
+};
+
+export type PlayerStatsResponse = {
+  type: "player-stats";
+  caller: LeaderboardCaller | null;
+  /** null for logged-out viewers and players with no ranked rounds yet. */
+  stats: PlayerStats | null;
+};
+
+/** See shared/game/achievements.ts for the catalogue. */
+export type UnlockedAchievement = {
+  id: string;
+  unlockedAt: number;
+};
+
+export type PlayerAchievementsResponse = {
+  type: "player-achievements";
+  caller: LeaderboardCaller | null;
+  unlocked: UnlockedAchievement[];
+};
+
+/** Season length; moderators pick one in the app settings. */
+export type SeasonLength = "weekly" | "monthly" | "quarterly";
+
+export type SeasonInfo = {
+  /** e.g. "2026-10" (monthly), "2026-Q4" (quarterly), "2026-W43" (weekly). */
+  id: string;
+  length: SeasonLength;
+  startsAt: number;
+  endsAt: number;
+};
+
+/** A top finisher of a finished season, for one game mode. */
+export type SeasonChampion = SubredditLeaderboardEntry & {
+  mode: LeaderboardMode;
+  metric: SubredditLeaderboardMetric;
+};
+
+export type SeasonRecord = {
+  seasonId: string;
+  endedAt: number;
+  /** Top finishers per mode, best first within each mode. */
+  champions: SeasonChampion[];
+};
+
+export type SeasonResponse = {
+  type: "season";
+  current: SeasonInfo;
+  /** null until the first season has ended. */
+  lastSeason: SeasonRecord | null;
+};
+
+/**
+ * Standings across every Daily Darts post in the subreddit:
+ *   - total: sum of each player's best score per post (points modes only)
+ *   - best:  best single round
+ *   - days:  number of daily challenges played
+ */
+export type SubredditLeaderboardMetric = "total" | "best" | "days";
+
+export type SubredditLeaderboardEntry = {
+  userId: string;
+  username: string;
+  rank: number;
+  /** null for modes ranked by darts used, where a running total means nothing. */
+  totalPoints: number | null;
+  bestRound: number | null;
+  daysPlayed: number;
+};
+
+export type SubredditLeaderboardRequest = {
+  mode?: LeaderboardMode;
+  /** Default "total" (or "best" for modes ranked by darts). */
+  metric?: SubredditLeaderboardMetric;
+  limit?: number;
+};
+
+export type SubredditLeaderboardResponse = {
+  type: "subreddit-leaderboard";
+  subredditName: string;
+  mode: LeaderboardMode;
+  metric: SubredditLeaderboardMetric;
+  caller: LeaderboardCaller | null;
+  top: SubredditLeaderboardEntry[];
+  callerRank: number | null;
+  callerStats: Omit<SubredditLeaderboardEntry, "userId" | "username" | "rank"> | null;
+};
+
+/** Everything the game needs before the first throw, in one request. */
+export type BootstrapResponse = {
+  type: "bootstrap";
+  postId: string;
+  username: string;
+  config: GameConfig;
+  /**
+   * The post has its own config, so only `config.mode` rounds are accepted.
+   * Posts without one still let the player pick any mode.
+   */
+  modeLocked: boolean;
+  daily: DailyChallenge;
+  /** Rows on the chalkboard and round-end leaderboard. */
+  leaderboardLimit: number;
+  /** The caller's all-time entry in the config's mode; null if unranked. */
+  best: { score: number; rank: number } | null;
+  /** Whether the caller already has a score on today's board for the config's mode. */
+  playedToday: boolean;
+  /** null for logged-out viewers. */
+  streak: PlayerStreak | null;
+};
+
+/**
+ * Comment the caller's last ranked round on the post. The round must match
+ * what the server stored when it was submitted.
+ */
+export type RoundShareRequest = {
+  roundId: string;
+  mode: LeaderboardMode;
+  score: number;
+  /** Per-dart labels from throwHistory, in order. */
+  darts: string[];
+  /** Which board's rank goes in the comment (default all-time). */
+  period?: LeaderboardPeriod;
+};
+
+export type RoundShareResponse = {
+  type: "round-share";
+  commentId: string;
+  rank: number | null;
 };